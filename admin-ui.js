@@ -0,0 +1,201 @@
+/**
+ * admin-ui.js - server-rendered admin pages (plain HTML, no client-side script).
+ *
+ * The server collects the numbers (see /admin/ui in server.js); these functions
+ * only turn them into markup. Every value is escaped, since answers, transcripts
+ * and provider errors are user- or provider-supplied text.
+ */
+
+const STYLE = `
+  body { font: 14px/1.45 -apple-system, "Segoe UI", Roboto, sans-serif; margin: 0; color: #212529; background: #f4f6f8; }
+  header { background: #123456; color: #fff; padding: 12px 24px; }
+  header a { color: #fff; text-decoration: none; font-weight: 600; }
+  main { padding: 16px 24px 40px; max-width: 1200px; }
+  h2 { font-size: 16px; margin: 28px 0 8px; }
+  h3 { font-size: 14px; margin: 16px 0 6px; }
+  .cards { display: flex; flex-wrap: wrap; gap: 12px; }
+  .card { background: #fff; border-radius: 6px; padding: 10px 16px; min-width: 140px; box-shadow: 0 1px 2px rgba(0,0,0,.08); }
+  .card b { display: block; font-size: 22px; }
+  .muted { color: #6c757d; }
+  table { border-collapse: collapse; width: 100%; background: #fff; box-shadow: 0 1px 2px rgba(0,0,0,.08); }
+  th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #e9ecef; vertical-align: top; }
+  th { background: #f8f9fa; font-weight: 600; }
+  td.num, th.num { text-align: right; white-space: nowrap; }
+  .bar { display: inline-block; height: 10px; background: #28a745; vertical-align: middle; }
+  .bar.seg { margin-right: 1px; }
+  .in { background: #eef6ff; }
+  pre { margin: 0; white-space: pre-wrap; font: inherit; }
+  .error { color: #dc3545; }
+`;
+
+const TIER_COLORS = ["#28a745", "#ff9f1c", "#dc3545", "#6f42c1", "#17a2b8"];
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[ch]));
+}
+
+// UTC, to the second - the server's clock is what the queue runs on
+function formatTime(ms) {
+  return ms ? new Date(ms).toISOString().replace("T", " ").slice(0, 19) : "-";
+}
+
+function formatDelay(ms, now) {
+  if (!ms) return "-";
+  const s = Math.round((ms - now) / 1000);
+  return s <= 0 ? "due now" : `in ${s < 120 ? `${s}s` : `${Math.round(s / 60)}m`}`;
+}
+
+function formatSeconds(s) {
+  if (s == null) return "-";
+  return s < 120 ? `${s}s` : `${Math.round(s / 60)}m`;
+}
+
+function percent(part, whole) {
+  return whole ? `${Math.round((part / whole) * 100)}%` : "-";
+}
+
+// `rows` hold HTML already escaped by the caller; numeric columns are right-aligned
+function table(headers, rows, { numeric = [], empty = "Nothing here." } = {}) {
+  if (!rows.length) return `<p class="muted">${escapeHtml(empty)}</p>`;
+  const cls = i => (numeric.includes(i) ? ' class="num"' : "");
+  return `<table><thead><tr>${headers.map((h, i) => `<th${cls(i)}>${escapeHtml(h)}</th>`).join("")}</tr></thead>` +
+    `<tbody>${rows.map(r => `<tr${r.className ? ` class="${r.className}"` : ""}>${(r.cells || r).map((c, i) => `<td${cls(i)}>${c}</td>`).join("")}</tr>`).join("")}</tbody></table>`;
+}
+
+function layout(title, body, { refreshSec } = {}) {
+  return `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">` +
+    (refreshSec ? `<meta http-equiv="refresh" content="${refreshSec}">` : "") +
+    `<title>${escapeHtml(title)}</title><style>${STYLE}</style></head>` +
+    `<body><header><a href="/admin/ui">Survey admin</a></header><main>${body}</main></body></html>`;
+}
+
+function respondentLink(phone) {
+  return `<a href="/admin/ui/respondents/${encodeURIComponent(phone)}">${escapeHtml(phone)}</a>`;
+}
+
+function renderFunnel(funnel) {
+  const rows = funnel.rows.map(r => [
+    escapeHtml(r.text),
+    String(r.answered),
+    `${percent(r.answered, funnel.started)} <span class="bar" style="width:${funnel.started ? Math.round((r.answered / funnel.started) * 120) : 0}px"></span>`,
+    String(r.waiting),
+    String(r.dropped),
+    escapeHtml(formatSeconds(r.medianSeconds))
+  ]);
+  return `<h3>${escapeHtml(funnel.title)} <span class="muted">- ${funnel.started} started, ${funnel.completed} completed (${percent(funnel.completed, funnel.started)})</span></h3>` +
+    table(["Question", "Answered", "Of starts", "On it now", "Dropped here", "Median answer time"], rows, { numeric: [1, 3, 4, 5], empty: "No responses yet." });
+}
+
+function renderTierHistory(history) {
+  const colors = Object.fromEntries(history.tiers.map((t, i) => [t.id, TIER_COLORS[i % TIER_COLORS.length]]));
+  const legend = history.tiers.map(t => `<span class="bar seg" style="width:10px;background:${colors[t.id]}"></span> ${escapeHtml(t.label)}`).join(" &nbsp; ");
+  const rows = history.days.map(d => {
+    const total = history.tiers.reduce((sum, t) => sum + (d.counts[t.id] || 0), 0);
+    const bars = history.tiers.map(t => (d.counts[t.id]
+      ? `<span class="bar seg" style="width:${d.counts[t.id] * 12}px;background:${colors[t.id]}" title="${escapeHtml(t.label)}: ${d.counts[t.id]}"></span>`
+      : "")).join("");
+    return [escapeHtml(d.day), ...history.tiers.map(t => String(d.counts[t.id] || 0)), String(total), bars];
+  });
+  const numeric = history.tiers.map((_, i) => i + 1).concat(history.tiers.length + 1);
+  return `<h3>${escapeHtml(history.title)}</h3><p class="muted">${legend}</p>` +
+    table(["Day (UTC)", ...history.tiers.map(t => t.label), "Total", ""], rows, { numeric, empty: "No completions in this period." });
+}
+
+function renderDashboard({ now, totals, active, funnels, tierHistory, historyDays, queue, handoffs, errors }) {
+  const cards = [
+    ["Active respondents", totals.active],
+    ["Waiting for an operator", handoffs.length],
+    ["Completed", totals.completed],
+    ["Queue depth", queue.depth],
+    ["Next send", formatDelay(queue.nextSendAt, now)],
+    ["Dead letters", queue.deadLetters],
+    ["Errors (recent)", errors.length]
+  ].map(([label, value]) => `<div class="card"><span class="muted">${escapeHtml(label)}</span><b>${escapeHtml(value)}</b></div>`).join("");
+
+  const activeRows = active.map(a => [
+    respondentLink(a.phone),
+    escapeHtml(a.surveyTitle),
+    escapeHtml(a.language),
+    a.awaitingLanguage ? '<span class="muted">choosing language</span>'
+      : a.awaitingConsent ? '<span class="muted">asked for consent</span>'
+        : `${a.questionNumber}/${a.totalQuestions} ${escapeHtml(a.questionText)}`,
+    String(a.answered),
+    escapeHtml(formatTime(a.lastActivityAt))
+  ]);
+
+  const queueRows = queue.next.map(m => [
+    escapeHtml(formatTime(m.executeAt)),
+    escapeHtml(formatDelay(m.executeAt, now)),
+    respondentLink(m.phoneNumber),
+    escapeHtml(m.messageType),
+    String(m.attempts || 0)
+  ]);
+  const byType = Object.entries(queue.byType).map(([type, n]) => `${escapeHtml(type)}: ${n}`).join(", ") || "empty";
+
+  const handoffRows = handoffs.map(h => [
+    respondentLink(h.phone),
+    escapeHtml(h.reason),
+    escapeHtml(formatTime(h.openedAt)),
+    h.lastMessage ? `${h.lastMessage.dir === "in" ? "&larr;" : "&rarr;"} ${escapeHtml(h.lastMessage.text)}` : "-",
+    String(h.unread || 0)
+  ]);
+
+  const errorRows = errors.map(e => [
+    escapeHtml(formatTime(e.at)),
+    escapeHtml(e.tag),
+    `<span class="error">${escapeHtml(e.message)}</span>${e.body ? `<br><span class="muted">${escapeHtml(e.body)}</span>` : ""}`,
+    escapeHtml([e.status, e.code].filter(Boolean).join(" ")),
+    escapeHtml([e.method && e.method.toUpperCase(), e.url].filter(Boolean).join(" "))
+  ]);
+
+  const body = `
+    <p class="muted">As of ${escapeHtml(formatTime(now))} UTC - refreshes every 30s</p>
+    <div class="cards">${cards}</div>
+    <h2>Operator inbox</h2>
+    ${table(["Phone", "Reason", "Opened (UTC)", "Last message", "Unread"], handoffRows, { numeric: [4], empty: "No conversations waiting for an operator." })}
+    <h2>Active respondents</h2>
+    ${table(["Phone", "Survey", "Lang", "Current question", "Answered", "Last activity (UTC)"], activeRows, { numeric: [4], empty: "No one is mid-survey." })}
+    <h2>Completion funnel</h2>
+    ${funnels.map(renderFunnel).join("")}
+    <h2>Tiers over the last ${escapeHtml(historyDays)} days</h2>
+    ${tierHistory.map(renderTierHistory).join("")}
+    <h2>Queue</h2>
+    <p class="muted">${escapeHtml(queue.depth)} pending (${byType}); next send ${escapeHtml(formatTime(queue.nextSendAt))} UTC</p>
+    ${table(["Scheduled (UTC)", "", "Recipient", "Type", "Attempts"], queueRows, { numeric: [4], empty: "Queue is empty." })}
+    <h2>Recent errors</h2>
+    ${table(["When (UTC)", "Where", "Error", "Status", "Request"], errorRows, { empty: "No errors since the last restart." })}`;
+  return layout("Survey admin", body, { refreshSec: 30 });
+}
+
+function renderTranscript({ phone, user, handoff, runs, entries }) {
+  const runRows = runs.map(r => [
+    escapeHtml(r.surveyTitle),
+    escapeHtml(r.language),
+    escapeHtml(r.status),
+    escapeHtml(formatTime(r.startedAt)),
+    r.totalScore != null ? `${r.totalScore}/${r.maxScore}${r.tierLabel ? ` ${escapeHtml(r.tierLabel)}` : ""}` : "-",
+    r.answered != null ? String(r.answered) : "-"
+  ]);
+
+  const entryRows = entries.map(e => ({
+    className: e.dir === "in" ? "in" : "",
+    cells: [
+      escapeHtml(formatTime(e.at)),
+      e.dir === "in" ? "&larr; respondent" : e.type === "operator" ? "&rarr; operator" : "&rarr; bot",
+      escapeHtml(e.type),
+      `<pre>${escapeHtml(e.text)}</pre>`
+    ]
+  }));
+
+  const body = `
+    <h2>${escapeHtml(phone)}</h2>
+    <p class="muted">First contact ${escapeHtml(formatTime(user?.firstContact))} UTC${user?.language ? ` - language ${escapeHtml(user.language)}` : ""}</p>
+    ${handoff ? `<p class="error">With an operator since ${escapeHtml(formatTime(handoff.openedAt))} UTC (${escapeHtml(handoff.reason)}) - automated messages are paused until it is released.</p>` : ""}
+    <h2>Survey runs</h2>
+    ${table(["Survey", "Lang", "Status", "Started (UTC)", "Score", "Answered"], runRows, { empty: "No survey runs stored." })}
+    <h2>Transcript</h2>
+    ${table(["When (UTC)", "", "Type", "Message"], entryRows, { empty: "No messages recorded for this number." })}`;
+  return layout(`Respondent ${phone}`, body);
+}
+
+module.exports = { renderDashboard, renderTranscript, escapeHtml };
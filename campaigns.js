@@ -0,0 +1,91 @@
+/**
+ * campaigns.js - picks the recipients of an admin campaign from stored survey runs.
+ *
+ *   POST /admin/campaigns
+ *   {
+ *     "name": "Webinar invite - tier2",
+ *     "segment": { "survey": "msme-ai-readiness", "tiers": ["tier2"], "status": "completed", "withinDays": 30 },
+ *     "message": { "en": "Join our free webinar ...", "hi": "..." }     // or one string for everyone
+ *   }
+ *
+ * Segment fields (all optional):
+ *   survey      - survey id; without it every survey counts
+ *   tiers       - tier ids the respondent's result must be in (implies completed)
+ *   status      - "completed" (default), "partial" (started, not finished) or "any"
+ *   withinDays  - completed (or, for partial runs, started) in the last N days
+ *   languages   - language codes the respondent chose
+ * Each number is judged on its latest run of the survey(s), so someone who retook
+ * the assessment is targeted by their current result, and gets one message.
+ */
+
+const CAMPAIGN_STATUSES = ["completed", "partial", "any"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Returns a list of problems; empty when the campaign can be created
+function validateCampaign(body, surveys, defaultLanguage) {
+  const problems = [];
+  if (!body || typeof body !== "object") return ["body must be a JSON object"];
+  if (typeof body.name !== "string" || !body.name.trim()) problems.push("name is required");
+
+  const { message } = body;
+  if (typeof message === "string") {
+    if (!message.trim()) problems.push("message must not be empty");
+  } else if (message && typeof message === "object" && !Array.isArray(message)) {
+    if (typeof message[defaultLanguage] !== "string" || !message[defaultLanguage].trim()) problems.push(`message.${defaultLanguage} is required as the fallback`);
+    for (const [lang, text] of Object.entries(message)) {
+      if (typeof text !== "string") problems.push(`message.${lang} must be a string`);
+    }
+  } else {
+    problems.push("message must be a string or an object of language -> text");
+  }
+
+  const segment = body.segment || {};
+  if (typeof segment !== "object" || Array.isArray(segment)) return problems.concat("segment must be an object");
+  const survey = segment.survey ? surveys.get(segment.survey) : null;
+  if (segment.survey && !survey) problems.push(`unknown survey ${segment.survey}`);
+  if (segment.status && !CAMPAIGN_STATUSES.includes(segment.status)) problems.push(`segment.status must be one of ${CAMPAIGN_STATUSES.join(", ")}`);
+  if (segment.tiers != null) {
+    if (!Array.isArray(segment.tiers) || !segment.tiers.length) {
+      problems.push("segment.tiers must be a non-empty list");
+    } else {
+      const known = new Set((survey ? [survey] : [...surveys.values()]).flatMap(s => s.tiers.map(t => t.id)));
+      segment.tiers.filter(t => !known.has(t)).forEach(t => problems.push(`unknown tier ${t}`));
+      if (segment.status && segment.status !== "completed") problems.push("segment.tiers only applies to completed runs");
+    }
+  }
+  if (segment.withinDays != null && !(Number(segment.withinDays) > 0)) problems.push("segment.withinDays must be a positive number");
+  if (segment.languages != null && (!Array.isArray(segment.languages) || !segment.languages.length)) problems.push("segment.languages must be a non-empty list");
+  return problems;
+}
+
+// runs: survey states as kept in 'responses' (with phone); tierOf(run) -> tier id
+function selectSegment(runs, segment, { tierOf, now = Date.now() }) {
+  const status = segment.status || "completed";
+  const since = segment.withinDays ? now - Number(segment.withinDays) * DAY_MS : null;
+
+  const latest = new Map();
+  for (const run of runs) {
+    if (segment.survey && run.surveyId !== segment.survey) continue;
+    const current = latest.get(run.phone);
+    if (!current || run.startedAt > current.startedAt) latest.set(run.phone, run);
+  }
+
+  return [...latest.values()].filter(run => {
+    const completed = !!run.completedAt;
+    if (status === "completed" && !completed) return false;
+    if (status === "partial" && completed) return false;
+    if (since && (completed ? run.completedAt : run.startedAt) < since) return false;
+    if (segment.tiers && !segment.tiers.includes(tierOf(run))) return false;
+    if (segment.languages && !segment.languages.includes(run.language)) return false;
+    return true;
+  });
+}
+
+// The text for one recipient and the language it is in: theirs if the campaign
+// has it (a single string counts as written for everyone), else the fallback
+function campaignText(message, language, defaultLanguage) {
+  if (typeof message === "string") return { text: message, language };
+  return message[language] ? { text: message[language], language } : { text: message[defaultLanguage], language: defaultLanguage };
+}
+
+module.exports = { validateCampaign, selectSegment, campaignText };
@@ -0,0 +1,84 @@
+/**
+ * crm.js - builds the record pushed to the CRM webhook when a survey completes.
+ *
+ * Without a mapping the record carries everything sales asked for: phone, score,
+ * tier, section scores, every answer (via the export record) and open text answers by question id.
+ *
+ * A survey definition can map CRM field names to sources instead:
+ *   crm:
+ *     tiers: [tier1]              # optional - only push these tiers
+ *     fields:
+ *       lead_phone: phone
+ *       pain_point: answers.q7
+ * Sources: phone, language, responseId, surveyId, surveyVersion, score, maxScore, tier,
+ * tierLabel, startedAt, completedAt, answers.<q> (text), options.<q> (ids), points.<q>.
+ */
+
+const { buildResponseRecord } = require("./results-export");
+
+const CRM_SOURCE_FIELDS = ["phone", "language", "responseId", "surveyId", "surveyVersion", "score", "maxScore", "tier", "tierLabel", "startedAt", "completedAt"];
+const CRM_ANSWER_SOURCES = ["answers", "options", "points"];
+
+// Returns a problem string, or null when the source can be resolved for this survey
+function checkCrmSource(source, questionIds) {
+  if (typeof source !== "string") return "must be a string";
+  if (CRM_SOURCE_FIELDS.includes(source)) return null;
+  const [kind, questionId, ...rest] = source.split(".");
+  if (!CRM_ANSWER_SOURCES.includes(kind) || !questionId || rest.length) return `unknown source "${source}"`;
+  if (!questionIds.includes(questionId)) return `refers to unknown question ${questionId}`;
+  return null;
+}
+
+function answerText(answer) {
+  if (!answer) return null;
+  return Array.isArray(answer.answer) ? answer.answer.join("; ") : answer.answer;
+}
+
+function resolveSource(source, record, survey) {
+  const [kind, questionId] = source.split(".");
+  const answer = record.answers[questionId];
+  switch (kind) {
+    case "score": return record.totalScore;
+    case "tierLabel": return survey.tiers.find(t => t.id === record.tier)?.label || null;
+    case "answers": return answerText(answer);
+    case "options": return answer?.options || null;
+    case "points": return answer ? answer.points ?? null : null;
+    default: return record[kind] ?? null;
+  }
+}
+
+function buildCrmRecord(response, survey) {
+  const record = buildResponseRecord(response, survey);
+  const mapping = survey.crm?.fields;
+  if (mapping) {
+    return Object.fromEntries(Object.entries(mapping).map(([field, source]) => [field, resolveSource(source, record, survey)]));
+  }
+
+  const freeText = {};
+  for (const q of survey.questions) {
+    if (q.openText && record.answers[q.id]) freeText[q.id] = record.answers[q.id].answer;
+  }
+  return {
+    phone: record.phone,
+    language: record.language,
+    responseId: record.responseId,
+    surveyId: record.surveyId,
+    surveyVersion: record.surveyVersion,
+    completedAt: record.completedAt,
+    score: record.totalScore,
+    maxScore: record.maxScore,
+    tier: record.tier,
+    tierLabel: resolveSource("tierLabel", record, survey),
+    sectionScores: record.sectionScores,
+    answers: record.answers,
+    freeText
+  };
+}
+
+// Surveys push every completion unless crm.tiers narrows it down
+function shouldPushToCrm(survey, tierId) {
+  const tiers = survey.crm?.tiers;
+  return !tiers || tiers.includes(tierId);
+}
+
+module.exports = { buildCrmRecord, shouldPushToCrm, checkCrmSource };
@@ -0,0 +1,287 @@
+/**
+ * i18n.js - translation catalogs for survey content and bot messages.
+ *
+ * One catalog per language in SURVEY_DIR/i18n/<code>.yaml:
+ *   language: hi                     - must match the file name
+ *   name: हिन्दी                      - shown in the language picker
+ *   aliases: [hindi]                 - extra words accepted after a trigger ("mining hindi")
+ *   system: { <key>: text }          - overrides for SYSTEM_MESSAGES below
+ *   surveys:
+ *     <survey id>:
+ *       title, messages: { welcome, instructions, completion }
+ *       sections: [title, ...]       - in definition order
+ *       questions: { <q>: { text, options: { <option id>: text } } }
+ *       tiers: { <tier id>: { label, actionPlan: { title, messages: [] } } }
+ *
+ * Action plan messages mirror the definition one for one: a string for each text
+ * message, a list of strings for each `blocks` message. Conditions (`when`) and
+ * placeholders come from the definition, so translators only supply text.
+ *
+ * Anything a catalog leaves out falls back to English. {{name}} placeholders
+ * are filled from the values passed to t(); {{trigger}} in survey messages is
+ * the survey's first trigger, as in the definition files.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { SurveyDefinitionError } = require("./survey-loader");
+
+const DEFAULT_LANGUAGE = "en";
+
+// English source text for everything the bot says outside the survey definitions
+const SYSTEM_MESSAGES = {
+  sectionHeader: "SECTION: {{section}}",
+  questionProgress: "Question {{number}} of {{total}}",
+  multiSelectHint: "(Tap each option that applies, then *Done* - or type the letters, e.g. a, c)",
+  selectedSoFar: "Selected so far: {{selected}}",
+  typeYourAnswer: "Please type your answer:",
+  plainTextSingleHint: "Reply with the letter or number of your answer (e.g. *a* or *1*).",
+  plainTextMultiHint: "Reply with all letters that apply (e.g. *a, c*), or one at a time and then *done*.",
+  chooseAnswer: "Choose an answer",
+  chooseOptions: "Choose options",
+  doneTitle: "✅ Done",
+  doneDescription: "Finish this question",
+  selectAtLeastOne: "Please select at least one option before tapping *Done*.",
+  multiSelectInvalid: "Please tap options from the list, or type the letters of your choices (e.g. {{examples}}).",
+  exclusiveConflict: "\"{{option}}\" can't be combined with other options. Please choose again.",
+  yourScore: "Your Score: {{score}}/{{maxScore}} points",
+  sectionScoresTitle: "*By section:*",
+  sectionScore: "• {{section}}: {{score}}/{{maxScore}}",
+  resultsCardCaption: "Your results card - forward it to your partners or your chamber.",
+  pdfReportCaption: "Your full report: answers, section scores and action plan.",
+  restarted: "No problem - starting the assessment over from the first question.",
+  alreadyFirst: "You're already on the first question.",
+  status: "📋 *{{title}}*\n\nYou're on question {{number}} of {{total}} ({{section}}).\nAnswered so far: {{answered}}\n\nReply *repeat* to see the current question again.",
+  stopped: "The assessment has been stopped. Type *{{trigger}}* anytime to start again.",
+  reprompt: "Sorry, I didn't catch that 🙂 Please tap one of the options on the question above, or type its letter (e.g. *a*).\n\nYou can also reply:\n• *repeat* - show the question again\n• *back* - change your previous answer\n• *status* - see your progress\n• *language* - change language\n• *restart* - start over\n• *end* - end the assessment",
+  nudgeFirst: "👋 Just checking in - you're on question {{number}} of {{total}} of the *{{title}}*.\n\nReply *repeat* to pick up where you left off, or *end* if you'd rather not continue.",
+  nudgeLast: "Last reminder: your *{{title}}* is still waiting at question {{number}} of {{total}}. Reply *repeat* to continue - your answers so far are saved.",
+  menuIntro: "👋 Hello! Reply with a keyword to start an assessment:",
+  languagePrompt: "Please choose your language",
+  languageButton: "Language",
+  languageChanged: "Language set to {{language}}.",
+  startInLanguage: "{{language}}: type *{{trigger}}*",
+  handoffOpened: "Thanks - we've passed your message to our team. Someone will reply to you here shortly.",
+  campaignFooter: "Reply *unsubscribe* to stop receiving these updates.",
+  unsubscribed: "Done - you won't receive any more messages from us. Reply *start* if you change your mind.",
+  resubscribed: "Welcome back - you'll receive messages from us again.",
+  consentPrompt: "Before we start: we'll save your answers and this WhatsApp number to prepare your results and action plan, and may follow up with you about them. You can reply *delete my data* at any time to erase them.\n\nDo you agree?",
+  consentYes: "✅ Yes, I agree",
+  consentNo: "No, thanks",
+  consentDeclined: "No problem - nothing has been saved. Type *{{trigger}}* anytime if you change your mind.",
+  dataDeleted: "Your data has been deleted: your answers, results and the history of this chat with us."
+};
+
+function fill(text, vars = {}) {
+  return String(text).replace(/\{\{(\w+)\}\}/g, (match, key) => (vars[key] != null ? String(vars[key]) : match));
+}
+
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim().length > 0;
+}
+
+function isPlainObject(v) {
+  return v != null && typeof v === "object" && !Array.isArray(v);
+}
+
+function checkPlanShape(translated, base, where, problems) {
+  if (!Array.isArray(translated) || translated.length !== base.length) {
+    problems.push(`${where} must have ${base.length} entries, one per message in the definition`);
+    return;
+  }
+  base.forEach((item, i) => {
+    const tr = translated[i];
+    if (item && item.blocks) {
+      if (!Array.isArray(tr) || tr.length !== item.blocks.length || !tr.every(isNonEmptyString)) {
+        problems.push(`${where}[${i}] must be a list of ${item.blocks.length} strings, one per block`);
+      }
+    } else if (!isNonEmptyString(tr)) {
+      problems.push(`${where}[${i}] must be a non-empty string`);
+    }
+  });
+}
+
+// Translated text poured into the definition's message structure
+function localizePlanMessages(base, translated) {
+  if (!translated) return base;
+  return base.map((item, i) => {
+    if (typeof item === "string") return translated[i];
+    if (!item.blocks) return { ...item, text: translated[i] };
+    return { ...item, blocks: item.blocks.map((block, j) => (typeof block === "string" ? translated[i][j] : { ...block, text: translated[i][j] })) };
+  });
+}
+
+// Every key must exist in the source (English) text; values must be strings
+function validateCatalog(catalog, code, surveys) {
+  const problems = [];
+  if (!isPlainObject(catalog)) return ["file does not contain an object"];
+  if (catalog.language !== code) problems.push(`language must be "${code}" to match the file name`);
+  if (code === DEFAULT_LANGUAGE) problems.push(`${DEFAULT_LANGUAGE} is the source language and needs no catalog`);
+  if (!isNonEmptyString(catalog.name)) problems.push("name is required");
+  if (catalog.aliases != null && (!Array.isArray(catalog.aliases) || !catalog.aliases.every(a => isNonEmptyString(a) && !/\s/.test(a.trim())))) {
+    problems.push("aliases must be an array of single words");
+  }
+
+  for (const [key, text] of Object.entries(catalog.system || {})) {
+    if (!(key in SYSTEM_MESSAGES)) problems.push(`system.${key} is not a known message`);
+    else if (!isNonEmptyString(text)) problems.push(`system.${key} must be a non-empty string`);
+  }
+
+  for (const [surveyId, entry] of Object.entries(catalog.surveys || {})) {
+    const survey = surveys.find(s => s.id === surveyId);
+    const where = `surveys.${surveyId}`;
+    if (!survey) {
+      problems.push(`${where} is not a loaded survey`);
+      continue;
+    }
+    if (entry.title != null && !isNonEmptyString(entry.title)) problems.push(`${where}.title must be a non-empty string`);
+    for (const [key, text] of Object.entries(entry.messages || {})) {
+      if (!(key in survey.messages)) problems.push(`${where}.messages.${key} is not a survey message`);
+      else if (!isNonEmptyString(text)) problems.push(`${where}.messages.${key} must be a non-empty string`);
+    }
+    if (entry.sections != null) {
+      if (!Array.isArray(entry.sections) || entry.sections.length > survey.sections.length) problems.push(`${where}.sections must list at most ${survey.sections.length} titles`);
+      else if (!entry.sections.every(isNonEmptyString)) problems.push(`${where}.sections must be strings`);
+    }
+    for (const [questionId, q] of Object.entries(entry.questions || {})) {
+      const question = survey.questions.find(sq => sq.id === questionId);
+      if (!question) {
+        problems.push(`${where}.questions.${questionId} is not a question of this survey`);
+        continue;
+      }
+      if (q.text != null && !isNonEmptyString(q.text)) problems.push(`${where}.questions.${questionId}.text must be a non-empty string`);
+      for (const [optionId, text] of Object.entries(q.options || {})) {
+        if (!question.options.some(o => o.id === optionId)) problems.push(`${where}.questions.${questionId}.options.${optionId} is not an option`);
+        else if (!isNonEmptyString(text)) problems.push(`${where}.questions.${questionId}.options.${optionId} must be a non-empty string`);
+      }
+    }
+    for (const [tierId, tier] of Object.entries(entry.tiers || {})) {
+      if (!survey.tiers.some(t => t.id === tierId)) {
+        problems.push(`${where}.tiers.${tierId} is not a tier of this survey`);
+        continue;
+      }
+      const plan = tier.actionPlan || {};
+      if (plan.messages != null) {
+        const base = survey.tiers.find(t => t.id === tierId).actionPlan.messages;
+        checkPlanShape(plan.messages, base, `${where}.tiers.${tierId}.actionPlan.messages`, problems);
+      }
+    }
+  }
+  return problems;
+}
+
+// A copy of the compiled survey with translated text; ids, points and branching untouched
+function localizeSurvey(survey, entry, code) {
+  if (!entry) return { ...survey, language: code };
+  const sectionTitles = new Map(survey.sections.map((s, i) => [s.title, (entry.sections || [])[i] || s.title]));
+  const messages = { ...survey.messages };
+  for (const [key, text] of Object.entries(entry.messages || {})) messages[key] = fill(text, { trigger: survey.triggers[0] });
+
+  const questions = survey.questions.map(q => {
+    const tq = (entry.questions || {})[q.id] || {};
+    return {
+      ...q,
+      section: sectionTitles.get(q.section) || q.section,
+      text: tq.text || q.text,
+      options: q.options.map(o => ({ ...o, text: (tq.options || {})[o.id] || o.text }))
+    };
+  });
+
+  const tiers = survey.tiers.map(t => {
+    const tt = (entry.tiers || {})[t.id] || {};
+    const plan = tt.actionPlan || {};
+    return {
+      ...t,
+      label: tt.label || t.label,
+      actionPlan: { ...t.actionPlan, title: plan.title || t.actionPlan.title, messages: localizePlanMessages(t.actionPlan.messages, plan.messages) }
+    };
+  });
+
+  const sections = survey.sections.map(s => ({ ...s, title: sectionTitles.get(s.title) }));
+
+  return { ...survey, language: code, title: entry.title || survey.title, messages, sections, questions, tiers };
+}
+
+// Share of a survey's strings a catalog covers, for the boot log
+function surveyCoverage(survey, entry = {}) {
+  let total = 1 + Object.keys(survey.messages).length + survey.sections.length;
+  let done = (entry.title ? 1 : 0) + Object.keys(entry.messages || {}).length + (entry.sections || []).length;
+  for (const q of survey.questions) {
+    const tq = (entry.questions || {})[q.id] || {};
+    total += 1 + q.options.length;
+    done += (tq.text ? 1 : 0) + Object.keys(tq.options || {}).length;
+  }
+  for (const t of survey.tiers) {
+    const tt = (entry.tiers || {})[t.id] || {};
+    total += 3;
+    done += (tt.label ? 1 : 0) + (tt.actionPlan?.title ? 1 : 0) + (tt.actionPlan?.messages ? 1 : 0);
+  }
+  return Math.round((done / total) * 100);
+}
+
+/*
+ * Loads SURVEY_DIR/i18n (optional) against the compiled surveys. Returns
+ *   languages: Map code -> { code, name, aliases }   (English first)
+ *   t(code, key, vars)                               - bot message in that language
+ *   localize(survey, code)                           - translated survey, cached
+ */
+function loadTranslations(surveyDir, surveys) {
+  const dir = path.join(surveyDir, "i18n");
+  const catalogs = new Map();
+  if (fs.existsSync(dir)) {
+    const files = fs.readdirSync(dir).filter(f => [".yaml", ".yml", ".json"].includes(path.extname(f))).sort();
+    for (const f of files) {
+      const file = path.join(dir, f);
+      const code = path.basename(f, path.extname(f)).toLowerCase();
+      let catalog;
+      try {
+        const raw = fs.readFileSync(file, "utf8");
+        catalog = path.extname(f) === ".json" ? JSON.parse(raw) : yaml.load(raw);
+      } catch (err) {
+        throw new SurveyDefinitionError(file, [`could not parse: ${err.message}`]);
+      }
+      const problems = validateCatalog(catalog, code, surveys);
+      if (problems.length) throw new SurveyDefinitionError(file, problems);
+      catalogs.set(code, catalog);
+    }
+  }
+
+  const languages = new Map([[DEFAULT_LANGUAGE, { code: DEFAULT_LANGUAGE, name: "English", aliases: ["english"] }]]);
+  for (const [code, catalog] of catalogs) {
+    languages.set(code, { code, name: catalog.name.trim(), aliases: (catalog.aliases || []).map(a => a.toLowerCase().trim()) });
+  }
+
+  const localized = new Map(); // `${surveyId}:${code}` -> survey
+  function localize(survey, code) {
+    if (!survey) return survey;
+    if (!code || code === DEFAULT_LANGUAGE || !catalogs.has(code)) return { ...survey, language: DEFAULT_LANGUAGE };
+    const key = `${survey.id}:${code}`;
+    if (!localized.has(key)) localized.set(key, localizeSurvey(survey, (catalogs.get(code).surveys || {})[survey.id], code));
+    return localized.get(key);
+  }
+
+  function t(code, key, vars) {
+    const catalog = catalogs.get(code);
+    const text = (catalog && catalog.system && catalog.system[key]) || SYSTEM_MESSAGES[key];
+    if (text == null) throw new Error(`Unknown message key ${key}`);
+    return fill(text, vars);
+  }
+
+  const coverage = [...catalogs.entries()].map(([code, catalog]) =>
+    `${code}: ${surveys.map(s => `${s.id} ${surveyCoverage(s, (catalog.surveys || {})[s.id])}%`).join(", ")}`);
+
+  return { languages, localize, t, coverage };
+}
+
+// "hi", "HI", "hindi" or the language's own name -> code, or null
+function matchLanguage(languages, word) {
+  const w = String(word || "").toLowerCase().trim();
+  if (!w) return null;
+  for (const lang of languages.values()) {
+    if (lang.code === w || lang.name.toLowerCase() === w || lang.aliases.includes(w)) return lang.code;
+  }
+  return null;
+}
+
+module.exports = { loadTranslations, matchLanguage, SYSTEM_MESSAGES, DEFAULT_LANGUAGE };
@@ -0,0 +1,29 @@
+/**
+ * media-upload.js - uploads a file to the provider's media endpoint and returns
+ * its media id. Shared by preupload.js (one-off, from disk) and the server
+ * (PDF reports, from memory).
+ */
+
+const axios = require("axios");
+const FormData = require("form-data");
+
+// Providers nest the id differently
+function extractMediaId(data) {
+  return data?.media_id || data?.id || data?.data?.id || data?.media?.[0]?.id || null;
+}
+
+// `file` is a Buffer or a readable stream; filename/contentType label it in the form
+async function uploadMedia(file, { url, apiKey, filename, contentType, timeoutMs = 60000 }) {
+  const formData = new FormData();
+  formData.append("file", file, filename ? { filename, contentType } : undefined);
+
+  const headers = {
+    ...formData.getHeaders(),
+    "Authorization": `Bearer ${apiKey}`
+  };
+
+  const resp = await axios.post(url, formData, { headers, maxContentLength: Infinity, maxBodyLength: Infinity, timeout: timeoutMs });
+  return { mediaId: extractMediaId(resp.data), resp };
+}
+
+module.exports = { uploadMedia, extractMediaId };
@@ -0,0 +1,130 @@
+/**
+ * pdf-report.js - builds the personalised PDF report sent after the action plan.
+ *
+ *   buildPdfReport({ survey, record, tierLabel, sectionScores, plan: { title, messages } })
+ *     -> Promise<Buffer>
+ *
+ * `record` is the export record (results-export.js) and `plan.messages` the action
+ * plan as rendered for this respondent. The report uses PDF's built-in Helvetica,
+ * which only covers Latin text: ₹ becomes "Rs." and other characters it can't show
+ * (e.g. Devanagari free text) become "?". fitsWinAnsi() tells whether a translation
+ * can be shown at all. WhatsApp *bold* markup is rendered as bold.
+ */
+
+const PDFDocument = require("pdfkit");
+
+const MARGIN = 50;
+const COLORS = { heading: "#123456", text: "#212529", muted: "#6c757d", track: "#e2e6ea", high: "#28a745", mid: "#ff9f1c", low: "#dc3545" };
+
+// WinAnsi covers ASCII, Latin-1 and a few typographic marks
+const NOT_WIN_ANSI = /[^\n\x20-\x7E\u00A0-\u00FF\u2022\u2013\u2014\u2018\u2019\u201C\u201D\u2026]/gu;
+
+function toWinAnsi(text) {
+  return String(text ?? "")
+    .replace(/\u20B9\s?/g, "Rs. ")
+    .replace(NOT_WIN_ANSI, "?");
+}
+
+// true when nothing but ₹ would need replacing
+function fitsWinAnsi(text) {
+  return !String(text ?? "").replace(/\u20B9/g, "").match(NOT_WIN_ANSI);
+}
+
+function ratioColor(score, maxScore) {
+  const ratio = maxScore ? score / maxScore : 0;
+  if (ratio >= 2 / 3) return COLORS.high;
+  if (ratio >= 1 / 3) return COLORS.mid;
+  return COLORS.low;
+}
+
+function heading(doc, text) {
+  doc.moveDown(1.2).font("Helvetica-Bold").fontSize(14).fillColor(COLORS.heading).text(toWinAnsi(text));
+  doc.moveDown(0.4);
+}
+
+// One line of WhatsApp-formatted text: *...* spans in bold
+function richLine(doc, line) {
+  // Odd indexes are the bold spans; empty pieces would leave a `continued` line open
+  const parts = toWinAnsi(line).split(/\*([^*]+)\*/)
+    .map((text, i) => ({ text, bold: i % 2 === 1 }))
+    .filter(part => part.text !== "");
+  if (parts.length === 0) {
+    doc.font("Helvetica").text(" ");
+    return;
+  }
+  parts.forEach((part, i) => {
+    doc.font(part.bold ? "Helvetica-Bold" : "Helvetica").text(part.text, { continued: i < parts.length - 1 });
+  });
+}
+
+function sectionBars(doc, sectionScores) {
+  const width = doc.page.width - MARGIN * 2;
+  for (const section of sectionScores) {
+    const value = `${section.score}/${section.maxScore}`;
+    const y = doc.y;
+    doc.font("Helvetica-Bold").fontSize(10).fillColor(COLORS.text).text(toWinAnsi(section.title), MARGIN, y);
+    doc.font("Helvetica").text(value, MARGIN, y, { width, align: "right" });
+    const barY = doc.y + 3;
+    const filled = section.maxScore ? Math.min(1, section.score / section.maxScore) : 0;
+    doc.rect(MARGIN, barY, width, 8).fill(COLORS.track);
+    if (filled > 0) doc.rect(MARGIN, barY, width * filled, 8).fill(ratioColor(section.score, section.maxScore));
+    doc.x = MARGIN;
+    doc.y = barY + 18;
+  }
+}
+
+function answerText(answer) {
+  if (!answer) return null;
+  return Array.isArray(answer.answer) ? answer.answer.join(", ") : answer.answer;
+}
+
+function buildPdfReport({ survey, record, tierLabel, sectionScores = [], plan }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: MARGIN, info: { Title: toWinAnsi(survey.title), Subject: "Assessment report" } });
+    const chunks = [];
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.font("Helvetica-Bold").fontSize(20).fillColor(COLORS.heading).text(toWinAnsi(survey.title));
+    const completed = record.completedAt ? new Date(record.completedAt).toISOString().slice(0, 10) : "";
+    doc.moveDown(0.3).font("Helvetica").fontSize(10).fillColor(COLORS.muted).text(`Prepared for +${record.phone}${completed ? ` on ${completed}` : ""}`);
+
+    heading(doc, "Your result");
+    // Score and "points" share a baseline; the cursor then moves below the larger text
+    const scoreText = `${record.totalScore}/${record.maxScore}`;
+    const scoreY = doc.y;
+    doc.font("Helvetica-Bold").fontSize(28).fillColor(COLORS.text).text(scoreText, MARGIN, scoreY);
+    const afterScore = doc.y;
+    const scoreWidth = doc.widthOfString(scoreText);
+    doc.font("Helvetica").fontSize(12).fillColor(COLORS.muted).text("points", MARGIN + scoreWidth + 8, scoreY + 13);
+    doc.x = MARGIN;
+    doc.y = afterScore;
+    doc.font("Helvetica-Bold").fontSize(16).fillColor(ratioColor(record.totalScore, record.maxScore)).text(toWinAnsi(tierLabel));
+
+    if (sectionScores.length > 1) {
+      heading(doc, "Score by section");
+      sectionBars(doc, sectionScores);
+    }
+
+    heading(doc, plan.title.replace(/\*/g, ""));
+    doc.fontSize(10).fillColor(COLORS.text);
+    for (const message of plan.messages) {
+      message.split("\n").forEach(line => richLine(doc, line));
+      doc.moveDown(0.8);
+    }
+
+    heading(doc, "Your answers");
+    for (const question of survey.questions) {
+      const text = answerText(record.answers[question.id]);
+      if (text == null) continue;
+      doc.font("Helvetica-Bold").fontSize(10).fillColor(COLORS.text).text(toWinAnsi(question.text));
+      doc.font("Helvetica").fillColor(COLORS.muted).text(toWinAnsi(text) || "-");
+      doc.moveDown(0.5);
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = { buildPdfReport, fitsWinAnsi };
@@ -1,6 +1,5 @@
 const fs = require('fs');
-const axios = require('axios');
-const FormData = require('form-data');
+const { uploadMedia } = require('./media-upload');
 
 (async () => {
   try {
@@ -17,21 +16,12 @@ const FormData = require('form-data');
       process.exit(1);
     }
 
-    const formData = new FormData();
-    formData.append('file', fs.createReadStream(PDF_PATH));
-
-    const headers = {
-      ...formData.getHeaders(),
-      'Authorization': `Bearer ${UPLOAD_API_KEY}`
-    };
-
     console.log('Uploading PDF to provider...');
-    const resp = await axios.post(UPLOAD_URL, formData, { headers, maxContentLength: Infinity, maxBodyLength: Infinity, timeout: 60000 });
+    const { mediaId, resp } = await uploadMedia(fs.createReadStream(PDF_PATH), { url: UPLOAD_URL, apiKey: UPLOAD_API_KEY });
 
     console.log('Upload response status:', resp.status);
     console.log('Upload response data:', JSON.stringify(resp.data, null, 2));
 
-    const mediaId = resp.data?.media_id || resp.data?.id || resp.data?.data?.id || resp.data?.media?.[0]?.id;
     if (!mediaId) {
       console.log('\nCould not auto-detect media_id in the response. Copy it manually to MEDIA_ID env var.');
     } else {
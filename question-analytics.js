@@ -0,0 +1,85 @@
+/**
+ * question-analytics.js - per-question funnel and timing over stored survey runs.
+ *
+ *   buildQuestionAnalytics(survey, runs) -> { surveyId, title, started, completed, completionRate, questions: [...] }
+ *
+ * `runs` are survey states as kept in 'responses'. Per question:
+ *  - reached: runs that answered it or stopped on it (runs still choosing a language haven't reached Q1)
+ *  - answered, waiting (active runs on it now), droppedOff (ended runs that never got past it)
+ *  - dropOffRate: droppedOff / reached
+ *  - medianSecondsToAnswer: from the question being sent (askedAt) to the answer (answeredAt);
+ *    answers recorded before these timestamps existed are left out
+ *  - options: how often each option was picked, share of the runs that answered (multi-select shares add up past 1)
+ */
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function ratio(part, whole) {
+  return whole ? +(part / whole).toFixed(3) : 0;
+}
+
+function buildQuestionAnalytics(survey, runs) {
+  const stats = survey.questions.map(q => ({
+    id: q.id,
+    text: q.text,
+    section: q.section || null,
+    reached: 0,
+    answered: 0,
+    waiting: 0,
+    droppedOff: 0,
+    answerSeconds: [],
+    optionCounts: q.openText ? null : Object.fromEntries(q.options.map(o => [o.id, 0]))
+  }));
+  const byId = new Map(stats.map(s => [s.id, s]));
+
+  let completed = 0;
+  for (const run of runs) {
+    if (run.completedAt) completed++;
+
+    for (const answer of run.answers || []) {
+      const q = byId.get(answer.questionId);
+      if (!q) continue;
+      q.reached++;
+      q.answered++;
+      if (answer.askedAt && answer.answeredAt) q.answerSeconds.push(Math.max(0, (answer.answeredAt - answer.askedAt) / 1000));
+      for (const optionId of answer.selectedOptions || []) {
+        if (q.optionCounts && optionId in q.optionCounts) q.optionCounts[optionId]++;
+      }
+    }
+
+    // Where an unfinished run is (or was left) sitting
+    const current = !run.completedAt && !run.awaitingLanguage && survey.questions[run.currentQuestion];
+    if (!current) continue;
+    const q = byId.get(current.id);
+    q.reached++;
+    if (run.active) q.waiting++;
+    else q.droppedOff++;
+  }
+
+  return {
+    surveyId: survey.id,
+    title: survey.title,
+    started: runs.length,
+    completed,
+    completionRate: ratio(completed, runs.length),
+    questions: stats.map(({ answerSeconds, optionCounts, ...q }) => ({
+      ...q,
+      dropOffRate: ratio(q.droppedOff, q.reached),
+      medianSecondsToAnswer: answerSeconds.length ? Math.round(median(answerSeconds)) : null,
+      timedAnswers: answerSeconds.length,
+      options: optionCounts && survey.questions.find(sq => sq.id === q.id).options.map(o => ({
+        id: o.id,
+        text: o.text,
+        count: optionCounts[o.id],
+        share: ratio(optionCounts[o.id], q.answered)
+      }))
+    }))
+  };
+}
+
+module.exports = { buildQuestionAnalytics };
@@ -0,0 +1,121 @@
+/**
+ * rate-limiter.js - token buckets for outbound sends.
+ *
+ * Three independent limits, all of which must allow a send:
+ *  - global:    one bucket for the whole bot (perMinute refill, burst capacity)
+ *  - recipient: one bucket per phone number, so a single chatty respondent
+ *               can't burst and busy respondents don't starve each other
+ *  - daily:     a hard cap on sends per UTC day (0 = no cap)
+ *
+ * take(phone) either consumes a token from every bucket or consumes nothing and
+ * says which limit blocked and how long until it would pass. Buckets live in
+ * memory; the daily count can be seeded from storage via setDailyUsage().
+ */
+
+const LRU = require("lru-cache");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function createBucket(capacity, perMinute, now) {
+  return { capacity, ratePerMs: perMinute / 60000, tokens: capacity, updatedAt: now };
+}
+
+function refill(bucket, now) {
+  const elapsed = Math.max(0, now - bucket.updatedAt);
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.ratePerMs);
+  bucket.updatedAt = now;
+}
+
+// Time until the bucket holds one whole token again
+function waitFor(bucket) {
+  if (bucket.tokens >= 1) return 0;
+  return bucket.ratePerMs > 0 ? Math.ceil((1 - bucket.tokens) / bucket.ratePerMs) : Infinity;
+}
+
+function createRateLimiter({ global, recipient, perDay = 0, maxRecipients = 10000 }) {
+  const globalBucket = createBucket(global.burst, global.perMinute, Date.now());
+
+  // A bucket left alone long enough is full again, which is the same as not
+  // having one - so entries can expire once they would have refilled
+  const refillMs = recipient.perMinute > 0 ? Math.ceil(recipient.burst / recipient.perMinute * 60000) : 0;
+  const recipientBuckets = new LRU({ max: maxRecipients, ttl: refillMs || undefined, updateAgeOnGet: false });
+
+  const daily = { day: utcDay(Date.now()), used: 0 };
+
+  function rollDay(now) {
+    const day = utcDay(now);
+    if (day !== daily.day) {
+      daily.day = day;
+      daily.used = 0;
+    }
+  }
+
+  function recipientBucket(phone, now) {
+    let bucket = recipientBuckets.get(phone);
+    if (!bucket) {
+      bucket = createBucket(recipient.burst, recipient.perMinute, now);
+      recipientBuckets.set(phone, bucket);
+    }
+    refill(bucket, now);
+    return bucket;
+  }
+
+  return {
+    take(phone, now = Date.now()) {
+      rollDay(now);
+      if (perDay > 0 && daily.used >= perDay) {
+        const nextDay = (Math.floor(now / DAY_MS) + 1) * DAY_MS;
+        return { ok: false, limit: "daily", retryInMs: nextDay - now };
+      }
+
+      refill(globalBucket, now);
+      const bucket = recipientBucket(phone, now);
+      const globalWait = waitFor(globalBucket);
+      const recipientWait = waitFor(bucket);
+      if (globalWait > 0) return { ok: false, limit: "global", retryInMs: globalWait };
+      if (recipientWait > 0) return { ok: false, limit: "recipient", retryInMs: recipientWait };
+
+      globalBucket.tokens -= 1;
+      bucket.tokens -= 1;
+      // Refresh the entry's expiry now that it is no longer full
+      recipientBuckets.set(phone, bucket);
+      daily.used++;
+      return { ok: true };
+    },
+
+    dailyUsage() {
+      rollDay(Date.now());
+      return { ...daily };
+    },
+
+    setDailyUsage(day, used) {
+      if (day === utcDay(Date.now())) {
+        daily.day = day;
+        daily.used = Math.max(daily.used, used);
+      }
+    },
+
+    snapshot(now = Date.now()) {
+      rollDay(now);
+      refill(globalBucket, now);
+      const recipients = [];
+      for (const [phone, bucket] of recipientBuckets.entries()) {
+        refill(bucket, now);
+        recipients.push({ phone, tokens: +bucket.tokens.toFixed(2), retryInMs: waitFor(bucket) });
+      }
+      recipients.sort((a, b) => a.tokens - b.tokens);
+      return {
+        global: { tokens: +globalBucket.tokens.toFixed(2), capacity: global.burst, perMinute: global.perMinute, retryInMs: waitFor(globalBucket) },
+        recipient: { capacity: recipient.burst, perMinute: recipient.perMinute, tracked: recipients.length },
+        daily: { day: daily.day, used: daily.used, limit: perDay || null },
+        recipients
+      };
+    }
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,212 @@
+/**
+ * results-card.js - renders the shareable results card as a PNG, with no native
+ * dependencies: pixels are drawn into an RGB buffer and encoded with zlib.
+ *
+ *   renderResultsCard({ title, score, maxScore, tierLabel, sections: [{ title, score, maxScore }] })
+ *
+ * Text uses a built-in 5x7 bitmap font covering A-Z, 0-9 and common punctuation;
+ * it is drawn upper case and anything outside the font shows as "?", so cards are
+ * rendered from the English definition whatever language the respondent chose.
+ */
+
+const zlib = require("zlib");
+
+const WIDTH = 720;
+const PAD = 40;
+
+const COLORS = {
+  background: [255, 255, 255],
+  header: [18, 52, 86],
+  headerText: [255, 255, 255],
+  text: [33, 37, 41],
+  muted: [108, 117, 125],
+  track: [226, 230, 234],
+  high: [40, 167, 69],
+  mid: [255, 159, 28],
+  low: [220, 53, 69]
+};
+
+// Rows top to bottom, 5 bits each, most significant bit on the left
+const FONT = {
+  "A": [0x0E, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+  "B": [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E],
+  "C": [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E],
+  "D": [0x1E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x1E],
+  "E": [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F],
+  "F": [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10],
+  "G": [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F],
+  "H": [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+  "I": [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E],
+  "J": [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C],
+  "K": [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+  "L": [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F],
+  "M": [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11],
+  "N": [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+  "O": [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+  "P": [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10],
+  "Q": [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D],
+  "R": [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11],
+  "S": [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E],
+  "T": [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+  "U": [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+  "V": [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04],
+  "W": [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A],
+  "X": [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11],
+  "Y": [0x11, 0x11, 0x11, 0x0A, 0x04, 0x04, 0x04],
+  "Z": [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F],
+  "0": [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E],
+  "1": [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E],
+  "2": [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F],
+  "3": [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E],
+  "4": [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02],
+  "5": [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E],
+  "6": [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E],
+  "7": [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+  "8": [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E],
+  "9": [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C],
+  " ": [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00],
+  ":": [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x0C, 0x00],
+  "/": [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+  "-": [0x00, 0x00, 0x00, 0x1F, 0x00, 0x00, 0x00],
+  "+": [0x00, 0x04, 0x04, 0x1F, 0x04, 0x04, 0x00],
+  ".": [0x00, 0x00, 0x00, 0x00, 0x00, 0x0C, 0x0C],
+  ",": [0x00, 0x00, 0x00, 0x00, 0x0C, 0x04, 0x08],
+  "'": [0x0C, 0x04, 0x08, 0x00, 0x00, 0x00, 0x00],
+  "(": [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+  ")": [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+  "%": [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03],
+  "&": [0x0C, 0x12, 0x14, 0x08, 0x15, 0x12, 0x0D],
+  "!": [0x04, 0x04, 0x04, 0x04, 0x04, 0x00, 0x04],
+  "?": [0x0E, 0x11, 0x01, 0x02, 0x04, 0x00, 0x04]
+};
+
+/* -------- PNG ENCODING -------- */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xFFFFFFFF;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// 8-bit truecolour, no interlace; every scanline uses filter 0 (none)
+function encodePng(width, height, rgb) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 2;
+
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) rgb.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", zlib.deflateSync(raw, { level: 9 })),
+    pngChunk("IEND", Buffer.alloc(0))
+  ]);
+}
+
+/* -------- DRAWING -------- */
+
+function createCanvas(width, height, color) {
+  const pixels = Buffer.alloc(width * height * 3);
+  const canvas = { width, height, pixels };
+  fillRect(canvas, 0, 0, width, height, color);
+  return canvas;
+}
+
+function fillRect(canvas, x, y, w, h, [r, g, b]) {
+  const x0 = Math.max(0, Math.round(x)), x1 = Math.min(canvas.width, Math.round(x + w));
+  const y0 = Math.max(0, Math.round(y)), y1 = Math.min(canvas.height, Math.round(y + h));
+  for (let py = y0; py < y1; py++) {
+    for (let px = x0; px < x1; px++) {
+      const i = (py * canvas.width + px) * 3;
+      canvas.pixels[i] = r;
+      canvas.pixels[i + 1] = g;
+      canvas.pixels[i + 2] = b;
+    }
+  }
+}
+
+// Each glyph is 5 cells wide plus one cell of spacing, 7 cells high
+function textWidth(text, scale) {
+  return text.length ? text.length * 6 * scale - scale : 0;
+}
+
+// Upper-cased and cut (with "...") to fit maxWidth
+function fitText(text, scale, maxWidth) {
+  const s = String(text).toUpperCase();
+  const maxChars = Math.floor((maxWidth + scale) / (6 * scale));
+  return s.length <= maxChars ? s : `${s.slice(0, Math.max(0, maxChars - 3)).trimEnd()}...`;
+}
+
+function drawText(canvas, text, x, y, scale, color) {
+  [...text].forEach((ch, i) => {
+    const glyph = FONT[ch] || FONT["?"];
+    glyph.forEach((row, gy) => {
+      for (let gx = 0; gx < 5; gx++) {
+        if (row & (0x10 >> gx)) fillRect(canvas, x + (i * 6 + gx) * scale, y + gy * scale, scale, scale, color);
+      }
+    });
+  });
+}
+
+function ratioColor(score, maxScore) {
+  const ratio = maxScore ? score / maxScore : 0;
+  if (ratio >= 2 / 3) return COLORS.high;
+  if (ratio >= 1 / 3) return COLORS.mid;
+  return COLORS.low;
+}
+
+/* -------- CARD -------- */
+
+function renderResultsCard({ title, score, maxScore, tierLabel, sections = [] }) {
+  const inner = WIDTH - PAD * 2;
+  const headerHeight = 90;
+  const sectionHeight = 70;
+  const height = headerHeight + 190 + sections.length * sectionHeight + 30;
+  const canvas = createCanvas(WIDTH, height, COLORS.background);
+
+  fillRect(canvas, 0, 0, WIDTH, headerHeight, COLORS.header);
+  drawText(canvas, fitText(title, 3, inner), PAD, 34, 3, COLORS.headerText);
+
+  // Total score, large, with the tier label under it
+  const scoreText = `${score}/${maxScore}`;
+  drawText(canvas, scoreText, PAD, headerHeight + 30, 10, COLORS.text);
+  const labelX = PAD + textWidth(scoreText, 10) + 24;
+  drawText(canvas, "POINTS", labelX, headerHeight + 82, 3, COLORS.muted);
+  drawText(canvas, fitText(tierLabel, 5, inner), PAD, headerHeight + 125, 5, ratioColor(score, maxScore));
+
+  // One bar per section
+  let y = headerHeight + 190;
+  for (const section of sections) {
+    const value = `${section.score}/${section.maxScore}`;
+    drawText(canvas, fitText(section.title, 3, inner - textWidth(value, 3) - 16), PAD, y, 3, COLORS.text);
+    drawText(canvas, value, WIDTH - PAD - textWidth(value, 3), y, 3, COLORS.text);
+    fillRect(canvas, PAD, y + 30, inner, 18, COLORS.track);
+    const filled = section.maxScore ? Math.min(1, section.score / section.maxScore) : 0;
+    fillRect(canvas, PAD, y + 30, inner * filled, 18, ratioColor(section.score, section.maxScore));
+    y += sectionHeight;
+  }
+
+  return encodePng(WIDTH, height, canvas.pixels);
+}
+
+module.exports = { renderResultsCard, encodePng };
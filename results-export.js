@@ -0,0 +1,122 @@
+/**
+ * results-export.js - turns stored survey responses into export records and CSV.
+ *
+ * A response is the survey state saved under the 'responses' namespace (one per
+ * survey run, kept after the live state expires). Records are flat enough for a
+ * spreadsheet: one row per response, three columns per choice question
+ * (<q>_options, <q>_answer, <q>_points) and one per open text question (<q>_answer).
+ * Completed responses also carry their score per section (<section>_score columns).
+ */
+
+function toIso(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+function responseStatus(response) {
+  if (response.completedAt) return "completed";
+  if (response.stoppedAt) return "stopped";
+  if (response.abandonedAt) return "abandoned";
+  return response.active ? "active" : "partial";
+}
+
+function buildResponseRecord(response, survey) {
+  const answers = {};
+  for (const answer of response.answers || []) {
+    const question = survey && survey.questions.find(q => q.id === answer.questionId);
+    if (question && question.openText) {
+      answers[answer.questionId] = { answer: answer.answer || "" };
+      continue;
+    }
+    const selected = answer.selectedOptions || [];
+    answers[answer.questionId] = {
+      options: selected,
+      answer: selected.map(id => question?.options.find(o => o.id === id)?.text || id),
+      points: answer.points || 0
+    };
+  }
+
+  const completed = !!response.completedAt;
+  const tier = completed && survey ? survey.tiers.find(t => response.totalScore >= t.minScore).id : null;
+
+  return {
+    responseId: response.responseId,
+    surveyId: response.surveyId,
+    surveyVersion: response.surveyVersion,
+    phone: response.phone,
+    language: response.language || "en",
+    status: responseStatus(response),
+    startedAt: toIso(response.startedAt),
+    completedAt: toIso(response.completedAt),
+    consentAt: toIso(response.consentAt),
+    totalScore: response.totalScore || 0,
+    maxScore: survey ? survey.maxScore : null,
+    tier,
+    sectionScores: response.sectionScores || null,
+    answers
+  };
+}
+
+/*
+ * Filters: from/to (ms, on startedAt, to is exclusive), tier (only completed
+ * responses have one), status ("completed" | "partial" = not completed | "all"), surveyId.
+ */
+function filterRecords(records, { from, to, tier, status = "all", surveyId } = {}) {
+  return records.filter(r => {
+    const startedAt = Date.parse(r.startedAt);
+    if (surveyId && r.surveyId !== surveyId) return false;
+    if (from && startedAt < from) return false;
+    if (to && startedAt >= to) return false;
+    if (status === "completed" && r.status !== "completed") return false;
+    if (status === "partial" && r.status === "completed") return false;
+    if (tier && r.tier !== tier) return false;
+    return true;
+  });
+}
+
+// Quote when needed; neutralise leading =,+,-,@ so free text can't run as a spreadsheet formula
+function csvCell(value) {
+  if (value == null) return "";
+  let s = Array.isArray(value) ? value.join("; ") : String(value);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Question columns follow definition order; several surveys are merged by question id
+function questionColumns(surveys) {
+  const columns = [];
+  const seen = new Set();
+  for (const survey of surveys) {
+    for (const q of survey.questions) {
+      if (seen.has(q.id)) continue;
+      seen.add(q.id);
+      if (q.openText) {
+        columns.push({ header: `${q.id}_answer`, get: a => a[q.id]?.answer });
+      } else {
+        columns.push({ header: `${q.id}_options`, get: a => a[q.id]?.options?.join("|") });
+        columns.push({ header: `${q.id}_answer`, get: a => a[q.id]?.answer });
+        columns.push({ header: `${q.id}_points`, get: a => a[q.id]?.points });
+      }
+    }
+  }
+  return columns;
+}
+
+// "DECISION-MAKING" -> decision_making_score; sections with the same title share a column
+function sectionColumns(surveys) {
+  const titles = [...new Set(surveys.flatMap(s => s.sections.map(section => section.title)))];
+  return titles.map(title => ({
+    header: `${title.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "")}_score`,
+    get: r => r.sectionScores?.find(s => s.title === title)?.score
+  }));
+}
+
+function toCsv(records, surveys) {
+  const base = ["responseId", "surveyId", "surveyVersion", "phone", "language", "status", "startedAt", "completedAt", "consentAt", "totalScore", "maxScore", "tier"];
+  const sections = sectionColumns(surveys);
+  const columns = questionColumns(surveys);
+  const header = base.concat(sections.map(c => c.header), columns.map(c => c.header));
+  const rows = records.map(r => base.map(k => r[k]).concat(sections.map(c => c.get(r)), columns.map(c => c.get(r.answers))));
+  return [header, ...rows].map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+module.exports = { buildResponseRecord, filterRecords, toCsv };
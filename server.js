@@ -6,13 +6,22 @@
  * provided with tier-appropriate action plans.
  *
  * Features:
- *  - Keyword-triggered survey ("mining")
- *  - Interactive button-based questions
- *  - Automatic scoring (0-35 points)
- *  - Three-tier action plans (AI Ready, AI Curious, AI Explorers)
+ *  - Survey registry loaded from surveys/*.yaml|json, each started by its own keywords ("mining")
+ *  - Interactive questions (reply buttons, or list messages for longer option sets)
+ *  - Conditional branching (showIf/skipIf) - questions can be skipped or follow up on earlier answers
+ *  - Automatic scoring (max score and tier ranges derived from the definition)
+ *  - Three-tier action plans (AI Ready, AI Curious, AI Explorers) with section sub-scores
+ *  - Shareable results card image (PNG rendered locally, see results-card.js)
+ *  - Personalised PDF report sent as a document after the action plan (see pdf-report.js)
+ *  - Admin dashboard at /admin/ui: live respondents, funnel, tiers, queue, errors, transcripts
+ *  - Per-answer timestamps and question drop-off/timing analytics (see question-analytics.js)
+ *  - Operator handoff: messages the bot can't handle go to an inbox, automation pauses until released
+ *  - Campaigns to a segment of past respondents through the queue, honouring opt-outs (see campaigns.js)
+ *  - Consent before the first question, STOP/unsubscribe suppression, "delete my data" erasure
  *  - Anti-ban compliant (rate limiting, natural delays)
+ *  - Durable state (survey progress, user history, dedupe, queue) via store.js
  *
- * NOTE: in-memory state tracking - suitable for single-instance deployment
+ * NOTE: one process per store - the queue worker is not coordinated across instances
  */
 
 const express = require("express");
@@ -21,9 +30,23 @@ const axios = require("axios");
 const LRU = require("lru-cache");
 const morgan = require("morgan");
 const crypto = require("crypto");
+const path = require("path");
+const { createStore } = require("./store");
+const { loadSurveyDir } = require("./survey-loader");
+const { buildResponseRecord, filterRecords, toCsv } = require("./results-export");
+const { createRateLimiter } = require("./rate-limiter");
+const { buildCrmRecord, shouldPushToCrm } = require("./crm");
+const { loadTranslations, matchLanguage, DEFAULT_LANGUAGE } = require("./i18n");
+const { renderResultsCard } = require("./results-card");
+const { buildPdfReport, fitsWinAnsi } = require("./pdf-report");
+const { uploadMedia } = require("./media-upload");
+const { renderDashboard, renderTranscript } = require("./admin-ui");
+const { buildQuestionAnalytics } = require("./question-analytics");
+const { validateCampaign, selectSegment, campaignText } = require("./campaigns");
 
 const app = express();
-app.use(bodyParser.json({ limit: "500kb" }));
+// Keep the exact bytes received - webhook signatures are computed over them
+app.use(bodyParser.json({ limit: "500kb", verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(morgan("combined"));
 
 /* -------- CONFIG -------- */
@@ -31,8 +54,18 @@ const PORT = process.env.PORT || 8080;
 const SEND_API_KEY = process.env.SEND_API_KEY;
 const SEND_TEXT_URL = process.env.SEND_TEXT_URL || "https://gate.whapi.cloud/messages/text";
 const SEND_INTERACTIVE_URL = process.env.SEND_INTERACTIVE_URL || "https://gate.whapi.cloud/messages/interactive";
+const SEND_IMAGE_URL = process.env.SEND_IMAGE_URL || "https://gate.whapi.cloud/messages/image";
+const SEND_DOCUMENT_URL = process.env.SEND_DOCUMENT_URL || "https://gate.whapi.cloud/messages/document";
 
+// Legacy shared-token check; comma-separate several tokens while rotating
 const VERIFY_TOKEN = process.env.VERIFY_TOKEN || null;
+
+// HMAC webhook signatures (preferred): sha256 over "<timestamp>.<raw body>".
+// Several comma-separated secrets are accepted so they can be rotated.
+const WEBHOOK_SECRETS = (process.env.WEBHOOK_SECRETS || "").split(",").map(v => v.trim()).filter(Boolean);
+const WEBHOOK_SIGNATURE_HEADER = (process.env.WEBHOOK_SIGNATURE_HEADER || "x-webhook-signature").toLowerCase();
+const WEBHOOK_TIMESTAMP_HEADER = (process.env.WEBHOOK_TIMESTAMP_HEADER || "x-webhook-timestamp").toLowerCase();
+const WEBHOOK_TOLERANCE_SEC = parseInt(process.env.WEBHOOK_TOLERANCE_SEC || "300", 10);
 const SENDER_PHONE = process.env.SENDER_PHONE || null;
 
 const TEXT_TIMEOUT_MS = parseInt(process.env.TEXT_TIMEOUT_MS || "8000", 10); // 8s for message sending
@@ -40,214 +73,166 @@ const ADMIN_KEY = process.env.ADMIN_KEY || null;
 
 const DEDUPE_TTL_MIN = parseInt(process.env.DEDUPE_TTL_MIN || "5", 10);
 const DEDUPE_TTL_MS = DEDUPE_TTL_MIN * 60 * 1000;
-const MAX_DEDUPE_ENTRIES = parseInt(process.env.MAX_DEDUPE_ENTRIES || "10000", 10);
 
 const PHANTOM_DELIVERY_WINDOW_MS = parseInt(process.env.PHANTOM_DELIVERY_WINDOW_MS || "120000", 10); // 2 minutes
 
-// Anti-ban rate limiting (WHAPI guidelines: max 2 messages per minute)
-const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE || "2", 10);
-const rateLimitWindow = new LRU({ max: 1000, ttl: 60000 }); // 1 minute windows
+// Persistent storage (file journal by default, redis for shared/managed deployments)
+const STORE_BACKEND = process.env.STORE_BACKEND || "file";
+const STORE_PATH = process.env.STORE_PATH || "./data/store.jsonl";
+const REDIS_URL = process.env.REDIS_URL || null;
+
+// Anti-ban rate limiting, token buckets (see rate-limiter.js). Per recipient follows
+// the WHAPI guideline of ~2 messages per minute with a small burst for survey replies;
+// the global bucket caps the bot as a whole and the daily cap protects young numbers.
+const RATE_LIMIT_PER_MINUTE = parseFloat(process.env.RATE_LIMIT_PER_MINUTE || "2");
+// RATE_LIMIT_PER_MINUTE predates the buckets: the burst defaults to it so it
+// stays a cap on sends per minute
+const RATE_LIMIT_BURST = process.env.RATE_LIMIT_BURST ? parseInt(process.env.RATE_LIMIT_BURST, 10)
+  : Math.max(1, Math.floor(RATE_LIMIT_PER_MINUTE));
+const RATE_LIMIT_RECIPIENT_PER_MINUTE = parseFloat(process.env.RATE_LIMIT_RECIPIENT_PER_MINUTE || "2");
+const RATE_LIMIT_RECIPIENT_BURST = parseInt(process.env.RATE_LIMIT_RECIPIENT_BURST || "4", 10);
+const RATE_LIMIT_PER_DAY = parseInt(process.env.RATE_LIMIT_PER_DAY || "1000", 10); // 0 = no daily cap
+const rateLimiter = createRateLimiter({
+  global: { perMinute: RATE_LIMIT_PER_MINUTE, burst: RATE_LIMIT_BURST },
+  recipient: { perMinute: RATE_LIMIT_RECIPIENT_PER_MINUTE, burst: RATE_LIMIT_RECIPIENT_BURST },
+  perDay: RATE_LIMIT_PER_DAY
+});
 
-// User interaction tracking for anti-ban measures
-const userInteractionCache = new LRU({ max: 10000, ttl: 7 * 24 * 60 * 60 * 1000 }); // 7 days
 const outboundMessageCache = new LRU({ max: 10000, ttl: PHANTOM_DELIVERY_WINDOW_MS });
 
-// Survey state tracking
-const surveyStateCache = new LRU({ max: 10000, ttl: 24 * 60 * 60 * 1000 }); // 24 hours
+// Durable state lives in the store, one namespace per concern:
+//  users  - user interaction tracking for anti-ban measures
+//  survey - survey state per respondent
+//  question-sent - when the current question actually went out, per respondent
+//  dedupe - inbound message ids already handled
+//  queue  - delayed outbound messages (anti-ban timing)
+//  deadletter - queued messages that exhausted their retries
+//  deliveries - outbound message ids with their delivery status timeline
+//  webhook-sigs - signatures already accepted (replay protection)
+//  webhook-rejections - rejected webhook attempts per UTC day and reason, kept apart from normal logs
+//  ratelimit - sends per UTC day, so the daily cap survives a restart
+//  crm-outbox - completed assessments waiting to be accepted by the CRM webhook
+//  responses - every survey run (completed or not) for exports, outlives the survey state
+//  transcripts - per number, the range of its transcript messages kept in
+//    transcript-messages ("<phone>:<seq>"), for the admin dashboard
+//  handoffs - conversations handed to an operator (automation paused), keyed by number
+//  optouts - the suppression list: numbers that opted out get nothing queued
+//  campaigns - campaign definitions; campaign-recipients - one result per campaign and number
+const store = createStore({ backend: STORE_BACKEND, filePath: STORE_PATH, redisUrl: REDIS_URL });
+const USER_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const SURVEY_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const RESPONSE_RETENTION_DAYS = parseInt(process.env.RESPONSE_RETENTION_DAYS || "0", 10); // 0 = keep
+const RESPONSE_TTL_MS = RESPONSE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Outbound queue retry policy
+const QUEUE_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS || "5", 10);
+const QUEUE_BACKOFF_BASE_MS = parseInt(process.env.QUEUE_BACKOFF_BASE_MS || "5000", 10);
+const QUEUE_BACKOFF_MAX_MS = parseInt(process.env.QUEUE_BACKOFF_MAX_MS || "300000", 10); // 5 minutes
 
-// Queue for delayed message sending (anti-ban timing)
-const messageQueue = [];
 const processingQueue = new Set();
-
-/* -------- SURVEY QUESTIONS & SCORING -------- */
-const SURVEY_QUESTIONS = [
-  {
-    id: 'q1',
-    section: 'CURRENT STATE',
-    text: 'Q1. Which best describes your current business operations?',
-    options: [
-      { id: 'a', text: 'Mostly paper-based or manual processes', points: 0 },
-      { id: 'b', text: 'Some Excel/digital tools, but mostly manual', points: 1 },
-      { id: 'c', text: 'Significant digital tools (accounting software, inventory systems, etc.)', points: 2 },
-      { id: 'd', text: 'Fully digital operations with integrated systems', points: 3 }
-    ]
-  },
-  {
-    id: 'q2',
-    section: 'CURRENT STATE',
-    text: 'Q2. Do you currently use any of these? (Select all that apply)',
-    options: [
-      { id: 'a', text: 'WhatsApp for Business', points: 1 },
-      { id: 'b', text: 'Excel for data tracking', points: 1 },
-      { id: 'c', text: 'Accounting software (Tally, Zoho, etc.)', points: 1 },
-      { id: 'd', text: 'CRM or inventory management software', points: 1 },
-      { id: 'e', text: 'None of the above', points: 0 }
-    ],
-    multiSelect: true,
-    maxPoints: 4
-  },
-  {
-    id: 'q3',
-    section: 'CURRENT STATE',
-    text: 'Q3. How much time do you or your team spend on repetitive tasks weekly?',
-    options: [
-      { id: 'a', text: 'Very little, most work is unique', points: 0 },
-      { id: 'b', text: '5-10 hours on repetitive tasks', points: 1 },
-      { id: 'c', text: '10-20 hours on repetitive tasks', points: 2 },
-      { id: 'd', text: '20+ hours on repetitive tasks', points: 3 }
-    ]
-  },
-  {
-    id: 'q4',
-    section: 'CURRENT STATE',
-    text: 'Q4. Your biggest operational headache right now is:',
-    options: [
-      { id: 'a', text: 'Cash flow/payment collection', points: 2 },
-      { id: 'b', text: 'Compliance and paperwork', points: 2 },
-      { id: 'c', text: 'Equipment breakdowns', points: 2 },
-      { id: 'd', text: 'Quality control inconsistencies', points: 2 },
-      { id: 'e', text: 'Finding new customers/markets', points: 2 },
-      { id: 'f', text: 'Managing inventory', points: 2 },
-      { id: 'g', text: 'None of the above/everything runs smoothly', points: 0 }
-    ]
-  },
-  {
-    id: 'q5',
-    section: 'READINESS',
-    text: 'Q5. Have you heard about AI being used in businesses like yours?',
-    options: [
-      { id: 'a', text: 'No, not really', points: 0 },
-      { id: 'b', text: 'Yes, but only in large companies', points: 1 },
-      { id: 'c', text: 'Yes, I know small businesses using it', points: 2 },
-      { id: 'd', text: "Yes, and I've tried exploring it", points: 3 }
-    ]
-  },
-  {
-    id: 'q6',
-    section: 'READINESS',
-    text: "Q6. What's your biggest concern about using AI?",
-    options: [
-      { id: 'a', text: 'Too expensive', points: 1 },
-      { id: 'b', text: 'Too complex/technical', points: 1 },
-      { id: 'c', text: "My team won't adopt it", points: 1 },
-      { id: 'd', text: "Don't trust it to work reliably", points: 1 },
-      { id: 'e', text: "Don't know where to start", points: 2 },
-      { id: 'f', text: "None, I'm ready to try", points: 3 }
-    ]
-  },
-  {
-    id: 'q7',
-    section: 'READINESS',
-    text: 'Q7. If AI could solve one problem for you, what would save you the most money/time?',
-    options: [
-      { id: 'open', text: 'Type your answer', points: 0 }
-    ],
-    openText: true
-  },
-  {
-    id: 'q8',
-    section: 'READINESS',
-    text: 'Q8. Your budget for trying new business tools in the next quarter is:',
-    options: [
-      { id: 'a', text: 'Nothing right now', points: 0 },
-      { id: 'b', text: 'Under ₹25,000', points: 1 },
-      { id: 'c', text: '₹25,000 - ₹1,00,000', points: 2 },
-      { id: 'd', text: '₹1,00,000+', points: 3 }
-    ]
-  },
-  {
-    id: 'q9',
-    section: 'DECISION-MAKING',
-    text: 'Q9. You make business decisions by:',
-    options: [
-      { id: 'a', text: 'Gut feel and experience', points: 1 },
-      { id: 'b', text: 'Discussing with family/partners', points: 1 },
-      { id: 'c', text: 'Looking at basic data (sales, expenses)', points: 2 },
-      { id: 'd', text: 'Detailed analysis of trends and patterns', points: 3 }
-    ]
-  },
-  {
-    id: 'q10',
-    section: 'DECISION-MAKING',
-    text: 'Q10. When adopting new tools/processes, you:',
-    options: [
-      { id: 'a', text: 'Wait to see if competitors try it first', points: 0 },
-      { id: 'b', text: 'Need to see proof from similar businesses', points: 1 },
-      { id: 'c', text: 'Will try if the investment is low', points: 2 },
-      { id: 'd', text: 'Are usually an early adopter', points: 3 }
-    ]
-  },
-  {
-    id: 'q11',
-    section: 'DECISION-MAKING',
-    text: 'Q11. Who would implement new technology in your business?',
-    options: [
-      { id: 'a', text: 'Me personally', points: 2 },
-      { id: 'b', text: 'My manager/supervisor', points: 2 },
-      { id: 'c', text: 'Would need to hire someone', points: 1 },
-      { id: 'd', text: 'Not sure', points: 0 }
-    ]
-  },
-  {
-    id: 'q12',
-    section: 'DECISION-MAKING',
-    text: 'Q12. Are you part of any business association/chamber?',
-    options: [
-      { id: 'a', text: 'Yes, and I'm active', points: 2 },
-      { id: 'b', text: 'Yes, but not very active', points: 1 },
-      { id: 'c', text: 'No', points: 0 }
-    ]
+let queueTickRunning = false;
+let lastQueueSeq = 0;
+
+// WhatsApp interactive message limits
+const MAX_REPLY_BUTTONS = 3;
+const BUTTON_TITLE_MAX = 20;
+const LIST_ROW_TITLE_MAX = 24;
+const LIST_ROW_DESCRIPTION_MAX = 72;
+const LIST_BUTTON_LABEL_MAX = 20;
+
+// Reply id suffix / typed word that closes a multi-select question
+const MULTI_SELECT_DONE_ID = 'done';
+
+// Send every question as plain text with lettered options (for clients that don't
+// render interactive messages). Respondents who type an answer switch to this anyway.
+const PLAIN_TEXT_QUESTIONS = process.env.PLAIN_TEXT_QUESTIONS === "true";
+
+/* -------- SURVEY REGISTRY -------- */
+// Questions, scoring, tier boundaries, action plans and bot messages come from
+// definition files (see survey-loader.js); max score and tier ranges are derived.
+// Each survey is started by its own trigger keywords.
+const SURVEY_DIR = process.env.SURVEY_DIR || path.join(__dirname, "surveys");
+// The survey the first-contact message points to when several run
+const DEFAULT_SURVEY_ID = process.env.DEFAULT_SURVEY_ID || null;
+// With translations loaded, respondents who didn't name a language ("mining hi") are asked for one
+const ASK_LANGUAGE = process.env.ASK_LANGUAGE !== "false";
+// PNG summary (score, tier, section bars) sent with the result; RESULTS_CARD=false turns it off
+const RESULTS_CARD = process.env.RESULTS_CARD !== "false";
+// PDF report after the action plan, uploaded through the same media endpoint as
+// preupload.js; off until UPLOAD_URL is set (PDF_REPORT=false turns it off too)
+const UPLOAD_URL = process.env.UPLOAD_URL || null;
+const UPLOAD_API_KEY = process.env.UPLOAD_API_KEY || SEND_API_KEY;
+const UPLOAD_TIMEOUT_MS = parseInt(process.env.UPLOAD_TIMEOUT_MS || "30000", 10);
+const PDF_REPORT = process.env.PDF_REPORT !== "false" && !!UPLOAD_URL;
+
+// Whole messages the bot reads as something else before it looks for a trigger,
+// so no survey may use one as its keyword
+const RESERVED_WORDS = ["restart", "back", "repeat", "status", "end", "language", "done", "stop", "unsubscribe", "start", "delete my data"];
+// Messages that open an operator handoff (see OPERATOR HANDOFF)
+const HANDOFF_KEYWORDS = (process.env.HANDOFF_KEYWORDS || "book audit,talk to a human,human,agent,call me")
+  .split(",").map(k => k.trim().toLowerCase()).filter(Boolean);
+
+const SURVEYS = new Map(); // survey id -> definition
+const SURVEY_TRIGGERS = new Map(); // trigger keyword -> definition
+let DEFAULT_SURVEY;
+let I18N; // translation catalogs from SURVEY_DIR/i18n, see i18n.js
+try {
+  const surveys = loadSurveyDir(SURVEY_DIR, { reservedWords: [...RESERVED_WORDS, ...HANDOFF_KEYWORDS] });
+  for (const survey of surveys) {
+    SURVEYS.set(survey.id, survey);
+    survey.triggers.forEach(t => SURVEY_TRIGGERS.set(t, survey));
+    console.log(`Loaded survey ${survey.id} v${survey.version} (triggers: ${survey.triggers.join(", ")}; max score ${survey.maxScore})`);
   }
-];
-
-const ACTION_PLANS = {
-  tier1: { // 25-35 points - AI Ready
-    title: "Your Result: You're Ready to Start",
-    messages: [
-      "Based on your responses, you have the infrastructure and mindset to implement AI solutions immediately.",
-
-      "*Your Next 30 Days:*\n\n*Week 1-2: Quick Wins*\nStart with the problem costing you the most time or money right now.\n\nIf cash flow is your headache: WhatsApp payment reminder automation (can set up in 2-3 hours)\nIf compliance is killing you: Simple deadline tracking system\nIf equipment breaks down: Start logging failures",
-
-      "*Week 3-4: Prove the Value*\nPick ONE automation to implement. Small, focused, measurable.\n\n*What This Could Look Like:*\nA Surat textile MSME with similar readiness automated their payment reminders on WhatsApp. Result: 8 hours saved weekly, ₹2.5L additional collections in first month. Setup took 2 hours.",
-
-      "*Recommended Next Step:*\n\nOption A (DIY): Download my free toolkit (₹5,000) - 15 automation templates you can implement yourself\n\nOption B (Done-for-you): Book a free audit and I'll tell you exactly which automation to start with and what it will cost\n\nOption C (Strategic): If you're part of a business chamber with 5+ interested members, let's discuss group training where everyone learns together",
-
-      "*The Bottom Line:* You don't need a ₹10 lakh AI transformation. You need one ₹25,000 solution that works, then build from there."
-    ]
-  },
-  tier2: { // 15-24 points - AI Curious
-    title: "Your Result: You're in the Perfect Position",
-    messages: [
-      "You have some digital infrastructure and you recognize where AI could help. What you need isn't technology - it's clarity on what actually works at your scale and budget.",
-
-      "*Your Challenge:*\nYou've probably been burned by expensive software that promised everything and delivered frustration. Or you've avoided it entirely because 'AI is for big companies.' Both are smart instincts.\n\nThe Truth: Most AI implementations fail because they're too complex. The ones that work are stupidly simple.",
-
-      "*Your Next 30 Days:*\n\n*Week 1: Learn What's Possible*\n• 7 AI failures I saw at Amazon (so you avoid them)\n• Self-implementation templates for common tasks\n• Real cost breakdown (what costs ₹5k vs ₹5L)",
-
-      "*Week 2-3: Identify Your One Problem*\nNot five problems. One. The one that costs you the most money or time. Write it down specifically:\n\n'Payment collection takes 15 hours/week'\n'Equipment breakdown cost us ₹8L last year'\n'Compliance deadline missed = ₹2L penalty'",
-
-      "*Week 4: See How Others Did It*\nLook at case studies from businesses like yours.\n\n*Recommended Next Step:*\nBest for you: Free 30-minute audit where I tell you:\n• Can AI actually help your specific problem?\n• What it will realistically cost (I've seen budgets from ₹5k to ₹5L)\n• Whether you should do it yourself or hire someone\n\nNo pitch. Just honest assessment. If AI won't help, I'll tell you.",
-
-      "*The Bottom Line:* You're cautious for good reasons. Let's prove value small before investing big."
-    ]
-  },
-  tier3: { // 0-14 points - AI Explorers
-    title: "Your Result: You're Building the Foundation",
-    messages: [
-      "You're running your business with limited digital infrastructure right now. That's not a weakness - that's where most Indian MSMEs are. But it means AI isn't your immediate priority.",
+  DEFAULT_SURVEY = DEFAULT_SURVEY_ID ? SURVEYS.get(DEFAULT_SURVEY_ID) : surveys[0];
+  if (!DEFAULT_SURVEY) throw new Error(`DEFAULT_SURVEY_ID ${DEFAULT_SURVEY_ID} not found in ${SURVEY_DIR}`);
+  I18N = loadTranslations(SURVEY_DIR, surveys);
+  if (I18N.coverage.length) console.log(`Loaded translations - ${I18N.coverage.join("; ")}`);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
 
-      "*What You Need First:*\nBefore AI makes sense, you need basic digital systems. Think of it like building a house - you need a foundation before the fancy features.",
+// With a language the survey comes back translated (ids and scoring unchanged).
+// Undefined for a survey that is no longer loaded.
+function getSurvey(surveyId, language = null) {
+  const survey = SURVEYS.get(surveyId);
+  return survey && language ? I18N.localize(survey, language) : survey;
+}
 
-      "*Your Next 90 Days:*\n\n*Month 1: Start Tracking Digitally*\nMove one critical process from paper/manual to digital:\n\n• If cash flow is your problem: Track payments in a simple Google Sheet\n• If compliance is messy: Create a calendar with all deadline reminders\n• If equipment breaks unpredictably: Start logging every breakdown (date, what broke, cost)",
+// Bot message in the respondent's language (English when there is no catalog entry)
+function t(language, key, vars) {
+  return I18N.t(language || DEFAULT_LANGUAGE, key, vars);
+}
 
-      "These aren't AI. These are just good data habits. But they're necessary before AI can help.\n\n*Month 2-3: Identify Patterns*\nOnce you have 60 days of data, patterns emerge:\n\n• Which customers always pay late?\n• Does equipment break down on a schedule?\n• Which compliance deadlines keep sneaking up?",
+// "<trigger>" or "<trigger> <language>", e.g. "mining hi" -> { survey, language: "hi" }
+function parseTrigger(text) {
+  if (!text) return null;
+  const [word, lang, ...rest] = text.toLowerCase().trim().split(/\s+/);
+  const survey = SURVEY_TRIGGERS.get(word);
+  if (!survey || rest.length) return null;
+  if (!lang) return { survey, language: null };
+  const language = matchLanguage(I18N.languages, lang);
+  return language ? { survey, language } : null;
+}
 
-      "*When You're Ready for AI:*\nOnce you have 3 months of clean data and basic digital workflows, then AI makes sense. It needs good data to work with.\n\n*Recommended Next Step:*\nDownload my free tracking templates and start building your data foundation. If this feels overwhelming, book a free 30-minute call and I'll tell you the simplest place to start.",
+function findSurveyByTrigger(text) {
+  return parseTrigger(text)?.survey || null;
+}
 
-      "*The Bottom Line:* You're not behind. You're being smart about building systematically. AI will make sense for you in 6-12 months, once you have the foundation in place.\n\n*In the meantime:*\n• Track one key metric digitally (revenue, inventory, breakdowns)\n• Move to WhatsApp Business for customer communication (free, simple)\n• Consider Tally or basic accounting software if you're still paper-based"
-    ]
+// First-contact message: the survey's own instructions, or a keyword menu when several
+// run, followed by how to start in each translated language
+function getInstructionsText() {
+  let text;
+  if (SURVEYS.size === 1) {
+    text = DEFAULT_SURVEY.messages.instructions;
+  } else {
+    const lines = [...SURVEYS.values()].map(sv => `• *${sv.triggers[0]}* - ${sv.title}`);
+    text = `${t(DEFAULT_LANGUAGE, 'menuIntro')}\n\n${lines.join('\n')}`;
   }
-};
+  const hints = [...I18N.languages.values()].filter(l => l.code !== DEFAULT_LANGUAGE)
+    .map(l => t(l.code, 'startInLanguage', { language: l.name, trigger: `${DEFAULT_SURVEY.triggers[0]} ${l.code}` }));
+  return hints.length ? `${text}\n\n${hints.join('\n')}` : text;
+}
 
 if (!SEND_API_KEY) {
   console.error("Missing SEND_API_KEY - aborting.");
@@ -256,15 +241,20 @@ if (!SEND_API_KEY) {
 
 /* -------- UTIL -------- */
 
+// Latest errors logged below, newest last, for the admin dashboard (process memory only)
+const RECENT_ERRORS_MAX = parseInt(process.env.RECENT_ERRORS_MAX || "50", 10);
+const recentErrors = [];
+
 function logAxiosError(tag, err) {
   try {
     console.error(`--- ${tag} - Error:`, err?.message || err);
     if (err?.code) console.error(`${tag} - code:`, err.code);
     if (err?.config) {
+      const { Authorization, authorization, ...headers } = err.config.headers || {};
       const cfg = {
         url: err.config.url,
         method: err.config.method,
-        headers: err.config.headers,
+        headers: { ...headers, ...(Authorization || authorization ? { Authorization: "[redacted]" } : {}) },
         data: typeof err.config.data === "string" ? err.config.data.slice(0, 2000) : err.config.data,
       };
       console.error(`${tag} - request:`, JSON.stringify(cfg));
@@ -274,6 +264,20 @@ function logAxiosError(tag, err) {
       try { console.error(`${tag} - response.headers:`, JSON.stringify(err.response.headers).slice(0, 2000)); } catch {}
       try { console.error(`${tag} - response.body:`, JSON.stringify(err.response.data).slice(0, 8000)); } catch {}
     }
+
+    let body = null;
+    try { body = err?.response?.data != null ? JSON.stringify(err.response.data).slice(0, 500) : null; } catch {}
+    recentErrors.push({
+      at: Date.now(),
+      tag,
+      message: err?.message || String(err),
+      code: err?.code || null,
+      status: err?.response?.status || null,
+      method: err?.config?.method || null,
+      url: err?.config?.url || null,
+      body
+    });
+    if (recentErrors.length > RECENT_ERRORS_MAX) recentErrors.splice(0, recentErrors.length - RECENT_ERRORS_MAX);
   } catch (ex) { console.error("Failed to log axios error fully", ex); }
 }
 
@@ -293,6 +297,15 @@ function normalizePhone(raw) {
 
 function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
 
+// Shorten to max chars, preferring a word boundary, with an ellipsis when cut
+function truncateText(text, max) {
+  text = String(text);
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  return (lastSpace > max / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,.(/-]+$/, "") + "…";
+}
+
 /* Enhanced request tracing and fingerprinting */
 function sha256hex(input) {
   return crypto.createHash("sha256").update(input).digest("hex");
@@ -344,18 +357,22 @@ function analyzeWhapiResponse(trace, response, error) {
   return analysis;
 }
 
-function checkRateLimit() {
-  const now = Date.now();
-  const currentMinute = Math.floor(now / 60000);
-  const currentCount = rateLimitWindow.get(currentMinute) || 0;
-
-  if (currentCount >= RATE_LIMIT_PER_MINUTE) {
-    console.warn(`Rate limit exceeded: ${currentCount}/${RATE_LIMIT_PER_MINUTE} per minute`);
-    return false;
+// Consumes a send from every bucket, or returns which limit blocked and for how long
+function checkRateLimit(phoneNumber) {
+  const result = rateLimiter.take(phoneNumber);
+  if (result.ok) {
+    const { day, used } = rateLimiter.dailyUsage();
+    store.set('ratelimit', day, used, 2 * 24 * 60 * 60 * 1000)
+      .catch(err => console.error("Failed to persist daily send count:", err.message));
   }
+  return result;
+}
 
-  rateLimitWindow.set(currentMinute, currentCount + 1);
-  return true;
+// Seed the daily count from storage so a redeploy doesn't reset the cap
+async function restoreDailySendCount() {
+  const { day } = rateLimiter.dailyUsage();
+  const used = await store.get('ratelimit', day);
+  if (used) rateLimiter.setDailyUsage(day, used);
 }
 
 function getRandomDelay() {
@@ -363,86 +380,516 @@ function getRandomDelay() {
   return Math.max(2000, Math.floor(Math.random() * 10000) + Math.random() * 1000);
 }
 
-function hasUserBeenContacted(phoneNumber) {
+async function hasUserBeenContacted(phoneNumber) {
   const userKey = normalizePhone(phoneNumber);
-  return userInteractionCache.has(userKey);
+  return (await store.get('users', userKey)) !== undefined;
 }
 
-function markUserContacted(phoneNumber, interactionType = 'survey_started') {
+async function markUserContacted(phoneNumber, interactionType = 'survey_started') {
   const userKey = normalizePhone(phoneNumber);
-  const userData = userInteractionCache.get(userKey) || {
+  const userData = (await store.get('users', userKey)) || {
     firstContact: Date.now(),
     interactions: []
   };
 
   userData.interactions.push({ type: interactionType, timestamp: Date.now() });
-  userInteractionCache.set(userKey, userData);
+  await store.set('users', userKey, userData, USER_TTL_MS);
   return userData;
 }
 
-async function queueMessage(phoneNumber, messageType, data) {
-  const delay = getRandomDelay();
-  const executeAt = Date.now() + delay;
+// Last language a respondent picked, so the next survey starts in it
+async function getUserLanguage(phoneNumber) {
+  const userData = await store.get('users', normalizePhone(phoneNumber));
+  return userData?.language || null;
+}
 
-  const queueItem = {
+async function getUserConsent(phoneNumber) {
+  const userData = await store.get('users', normalizePhone(phoneNumber));
+  return userData?.consentAt || null;
+}
+
+async function setUserConsent(phoneNumber, consentAt) {
+  const userKey = normalizePhone(phoneNumber);
+  const userData = (await store.get('users', userKey)) || { firstContact: Date.now(), interactions: [] };
+  userData.consentAt = consentAt;
+  await store.set('users', userKey, userData, USER_TTL_MS);
+}
+
+async function setUserLanguage(phoneNumber, language) {
+  const userKey = normalizePhone(phoneNumber);
+  const userData = (await store.get('users', userKey)) || { firstContact: Date.now(), interactions: [] };
+  userData.language = language;
+  await store.set('users', userKey, userData, USER_TTL_MS);
+}
+
+function nextQueueSeq() {
+  // Monotonic across restarts as long as the clock doesn't go backwards
+  lastQueueSeq = Math.max(Date.now(), lastQueueSeq + 1);
+  return lastQueueSeq;
+}
+
+function newQueueItem(phoneNumber, messageType, data, executeAt) {
+  return {
     id: crypto.randomUUID(),
+    seq: nextQueueSeq(),
     phoneNumber,
     messageType,
     data,
+    queuedAt: Date.now(),
     executeAt,
     attempts: 0
   };
+}
+
+async function queueMessage(phoneNumber, messageType, data) {
+  // Nothing goes to a number on the suppression list, bar the notice confirming what they asked for
+  if (!data?.complianceNotice && await isOptedOut(phoneNumber)) {
+    console.log(`Not queueing ${messageType} for ${phoneNumber} - opted out`);
+    return null;
+  }
+
+  const delay = getRandomDelay();
+  const now = Date.now();
+
+  // Space messages to the same recipient from the last one still pending, so a
+  // burst (e.g. action plan parts) keeps its order and natural gaps. Messages
+  // allowed during a handoff don't wait behind the ones it holds back, and
+  // nothing waits behind a campaign message (scheduled on the campaign's clock).
+  const pending = (await getQueuedMessages()).filter(m =>
+    m.phoneNumber === phoneNumber && m.messageType !== 'campaign_message' &&
+    (!data?.duringHandoff || m.data?.duringHandoff));
+  const lastPendingAt = pending.length ? pending[pending.length - 1].executeAt : 0;
+  const executeAt = Math.max(now, lastPendingAt) + delay;
+
+  const queueItem = newQueueItem(phoneNumber, messageType, data, executeAt);
+
+  await store.set('queue', queueItem.id, queueItem);
+  console.log(`Queued ${messageType} for ${phoneNumber} in ${executeAt - now}ms`);
+  return queueItem;
+}
+
+async function getQueuedMessages() {
+  const items = (await store.entries('queue')).map(([, item]) => item);
+  // Queue order is insertion order (seq), per recipient this is delivery order
+  return items.sort((a, b) => (a.seq || 0) - (b.seq || 0));
+}
+
+// Drop not-yet-sent items for a recipient (e.g. a question the respondent has
+// navigated away from). Items already being sent are left alone.
+async function cancelQueuedMessages(phoneNumber, messageTypes = null) {
+  const cancelled = (await getQueuedMessages()).filter(m =>
+    m.phoneNumber === phoneNumber &&
+    !processingQueue.has(m.id) &&
+    (!messageTypes || messageTypes.includes(m.messageType)));
+  for (const m of cancelled) await store.delete('queue', m.id);
+  if (cancelled.length) console.log(`Cancelled ${cancelled.length} queued message(s) for ${phoneNumber}`);
+  return cancelled.length;
+}
+
+function getRetryDelay(attempts) {
+  const backoff = Math.min(QUEUE_BACKOFF_MAX_MS, QUEUE_BACKOFF_BASE_MS * Math.pow(2, attempts - 1));
+  return backoff + Math.floor(Math.random() * 1000);
+}
+
+function isRetryableError(error) {
+  if (error?.retryable === false) return false;
+  const status = error?.response?.status;
+  if (!status) return true; // timeouts, network errors
+  return status >= 500 || status === 408 || status === 429;
+}
+
+async function handleQueueFailure(msg, error) {
+  logAxiosError(`queue ${msg.messageType} to ${msg.phoneNumber}`, error);
+  msg.attempts++;
+  msg.lastError = { message: error?.message || String(error), status: error?.response?.status || null, at: Date.now() };
+
+  if (msg.attempts >= QUEUE_MAX_ATTEMPTS || !isRetryableError(error)) {
+    await store.set('deadletter', msg.id, { ...msg, deadAt: Date.now() });
+    await store.delete('queue', msg.id);
+    console.error(`Queued message ${msg.id} dead-lettered after ${msg.attempts} attempt(s):`, msg.lastError.message);
+    if (msg.messageType === 'campaign_message') {
+      await recordCampaignResult(msg, { error: msg.lastError })
+        .catch(err => console.error(`Failed to record campaign result for ${msg.id}:`, err.message));
+    }
+    return;
+  }
 
-  messageQueue.push(queueItem);
-  console.log(`Queued ${messageType} for ${phoneNumber} in ${delay}ms`);
+  const delay = getRetryDelay(msg.attempts);
+  msg.executeAt = Date.now() + delay;
+  await store.set('queue', msg.id, msg);
+  console.warn(`Queued message ${msg.id} failed (attempt ${msg.attempts}/${QUEUE_MAX_ATTEMPTS}), retrying in ${delay}ms:`, msg.lastError.message);
+}
 
-  // Sort queue by execution time
-  messageQueue.sort((a, b) => a.executeAt - b.executeAt);
+// Why a ready item is dropped instead of sent, or null. A campaign message isn't
+// sent to someone who opted out after it was scheduled, and doesn't cut into a
+// survey they have started since.
+async function getSkipReason(msg) {
+  if (msg.messageType !== 'campaign_message') return null;
+  if (await isOptedOut(msg.phoneNumber)) return 'opted-out';
+  if ((await getSurveyState(msg.phoneNumber))?.active) return 'in-survey';
+  return null;
 }
 
 async function processMessageQueue() {
-  const now = Date.now();
-  const readyMessages = messageQueue.filter(msg => msg.executeAt <= now && !processingQueue.has(msg.id));
+  if (queueTickRunning) return;
+  queueTickRunning = true;
 
-  for (const msg of readyMessages) {
-    if (!checkRateLimit()) {
-      console.log('Rate limit hit, delaying queue processing');
-      break;
+  try {
+    const now = Date.now();
+
+    // Only the head of each recipient's line is eligible, so a message waiting
+    // on a retry holds back everything queued after it for that recipient.
+    // Campaign messages stand outside that line: they neither wait for it nor
+    // hold it up. Numbers with an operator get nothing automated until they're released.
+    const handedOff = await getHandedOffNumbers();
+    const heads = new Map();
+    const campaignMessages = [];
+    for (const msg of await getQueuedMessages()) {
+      if (handedOff.has(msg.phoneNumber) && !msg.data?.duringHandoff) continue;
+      if (msg.messageType === 'campaign_message') campaignMessages.push(msg);
+      else if (!heads.has(msg.phoneNumber)) heads.set(msg.phoneNumber, msg);
     }
+    const readyMessages = [...heads.values(), ...campaignMessages]
+      .filter(msg => msg.executeAt <= now && !processingQueue.has(msg.id))
+      .sort((a, b) => a.executeAt - b.executeAt);
+
+    for (const msg of readyMessages) {
+      // Skips are settled before the rate limits, so they take no send budget
+      const skipReason = await getSkipReason(msg);
+      if (skipReason) {
+        await store.delete('queue', msg.id);
+        console.log(`Queued ${msg.messageType} ${msg.id} to ${msg.phoneNumber} skipped - ${skipReason}`);
+        if (msg.messageType === 'campaign_message') {
+          await recordCampaignResult(msg, { resp: { skipped: true, reason: skipReason } })
+            .catch(err => console.error(`Failed to record campaign result for ${msg.id}:`, err.message));
+        }
+        continue;
+      }
 
-    processingQueue.add(msg.id);
-    const index = messageQueue.findIndex(m => m.id === msg.id);
-    if (index > -1) messageQueue.splice(index, 1);
+      // Over a limit the item is postponed, not failed: no attempt is used up
+      const limit = checkRateLimit(msg.phoneNumber);
+      if (!limit.ok) {
+        if (limit.limit !== 'recipient') {
+          // Global and daily limits hold back everyone; later ticks pick it up
+          console.log(`Rate limit (${limit.limit}) hit, delaying queue processing ${Math.ceil(limit.retryInMs / 1000)}s`);
+          break;
+        }
+        msg.executeAt = Date.now() + limit.retryInMs;
+        await store.set('queue', msg.id, msg);
+        console.log(`Rate limit (recipient) for ${msg.phoneNumber}, postponing ${msg.id} by ${limit.retryInMs}ms`);
+        continue;
+      }
 
-    try {
-      await executeQueuedMessage(msg);
-    } catch (error) {
-      console.error(`Failed to execute queued message ${msg.id}:`, error.message);
-    } finally {
-      processingQueue.delete(msg.id);
+      processingQueue.add(msg.id);
+      const sendStartedAt = Date.now();
+
+      // Item stays in the store until it's sent: a crash mid-send means a
+      // resend on boot rather than a lost message
+      try {
+        const resp = await executeQueuedMessage(msg);
+        await store.delete('queue', msg.id);
+        // Erased while this was being sent: nothing about it is recorded
+        if (erasedSince(msg.phoneNumber, sendStartedAt)) {
+          forgetRespondentInMemory(msg.phoneNumber);
+          continue;
+        }
+        // Confirming an erasure or a declined consent leaves no record of the
+        // number behind, and once it's out the journal is rewritten without the item
+        if (msg.data?.noRecord) {
+          await store.compact();
+          continue;
+        }
+        await recordOutboundMessage(msg, resp)
+          .catch(err => console.error(`Failed to record delivery for ${msg.id}:`, err.message));
+        if (!resp?.skipped) {
+          await appendTranscript(msg.phoneNumber, { dir: 'out', type: msg.messageType, text: describeOutbound(msg) },
+            { respondent: msg.messageType === 'campaign_message' })
+            .catch(err => console.error(`Failed to record transcript for ${msg.id}:`, err.message));
+        }
+        if (msg.messageType === 'survey_question' && !resp?.skipped) {
+          await markQuestionSent(msg)
+            .catch(err => console.error(`Failed to record send time for ${msg.id}:`, err.message));
+        }
+        if (msg.messageType === 'campaign_message') {
+          await recordCampaignResult(msg, { resp })
+            .catch(err => console.error(`Failed to record campaign result for ${msg.id}:`, err.message));
+        }
+      } catch (error) {
+        if (erasedSince(msg.phoneNumber, sendStartedAt)) {
+          await store.delete('queue', msg.id);
+          forgetRespondentInMemory(msg.phoneNumber);
+        } else {
+          await handleQueueFailure(msg, error);
+        }
+      } finally {
+        processingQueue.delete(msg.id);
+      }
     }
+  } catch (error) {
+    console.error('Queue processing failed:', error.message);
+  } finally {
+    queueTickRunning = false;
   }
 }
 
+// Returns the provider response so the caller can track delivery
 async function executeQueuedMessage(msg) {
   const { phoneNumber, messageType, data } = msg;
+  let resp;
 
   switch (messageType) {
     case 'survey_question':
-      await sendSurveyQuestion(phoneNumber, data.questionIndex);
+      resp = await sendSurveyQuestion(phoneNumber, getSurvey(data.surveyId, data.language), data.questionIndex, {
+        selected: data.selected,
+        progress: data.progress,
+        plainText: data.plainText,
+        bypassSentCache: !!data.resendOf
+      });
       console.log(`Sent survey question ${data.questionIndex} to ${phoneNumber}`);
-      break;
+      return resp;
     case 'text_message':
-      await sendTextOnce(phoneNumber, data.text, TEXT_TIMEOUT_MS);
+    case 'survey_nudge':
+      resp = await sendTextOnce(phoneNumber, data.text, TEXT_TIMEOUT_MS, { bypassSentCache: !!data.resendOf });
       console.log(`Sent text message to ${phoneNumber}`);
-      break;
+      return resp;
+    case 'language_question':
+      resp = await sendLanguageQuestion(phoneNumber, { bypassSentCache: !!data.resendOf });
+      console.log(`Sent language question to ${phoneNumber}`);
+      return resp;
+    case 'consent_question':
+      resp = await sendConsentQuestion(phoneNumber, data.language, { bypassSentCache: !!data.resendOf });
+      console.log(`Sent consent question to ${phoneNumber}`);
+      return resp;
+    case 'results_card':
+      // Rendered at send time - the queue only holds the numbers
+      resp = await sendImageOnce(phoneNumber, renderResultsCard(data.card), data.caption, TEXT_TIMEOUT_MS, { bypassSentCache: !!data.resendOf });
+      console.log(`Sent results card to ${phoneNumber}`);
+      return resp;
+    case 'pdf_report': {
+      // Built and uploaded at send time, so a retry uploads a fresh copy
+      const report = await buildResponseReport(data.responseId);
+      if (!report) throw Object.assign(new Error(`Response ${data.responseId} not found for PDF report`), { retryable: false });
+      const { mediaId } = await uploadMedia(report.pdf, {
+        url: UPLOAD_URL, apiKey: UPLOAD_API_KEY, filename: report.filename, contentType: 'application/pdf', timeoutMs: UPLOAD_TIMEOUT_MS
+      });
+      if (!mediaId) throw new Error('Media upload returned no media id');
+      resp = await sendDocumentOnce(phoneNumber, mediaId, report.filename, data.caption, TEXT_TIMEOUT_MS, { bypassSentCache: !!data.resendOf });
+      console.log(`Sent PDF report (${report.pdf.length} bytes) to ${phoneNumber}`);
+      return resp;
+    }
+    case 'campaign_message':
+      // Opted out or in a survey by now: dropped by getSkipReason before this
+      resp = await sendTextOnce(phoneNumber, data.text, TEXT_TIMEOUT_MS, { bypassSentCache: true });
+      console.log(`Sent campaign ${data.campaignId} message to ${phoneNumber}`);
+      return resp;
+    default:
+      // Not retryable - goes straight to the dead-letter list
+      throw Object.assign(new Error(`Unknown message type: ${messageType}`), { retryable: false });
+  }
+}
+
+/* -------- TRANSCRIPTS -------- */
+// What each respondent sent and was sent, for the admin dashboard. Each message is
+// its own record under "<phone>:<seq>", so recording one never rewrites the rest;
+// 'transcripts' keeps each number's { first, next } seq range, so reading one
+// transcript touches only its own records. Past TRANSCRIPT_MAX_ENTRIES the oldest
+// messages are deleted as new ones come in.
+// Only respondents are recorded: numbers in a survey they have consented to or
+// talking to an operator, or `respondent` when the caller knows (a campaign
+// message). Nothing is recorded for a number on the suppression list.
+const TRANSCRIPT_MAX_ENTRIES = parseInt(process.env.TRANSCRIPT_MAX_ENTRIES || "300", 10);
+const transcriptWrites = new Map(); // phone -> its last pending append, so seqs don't collide
+
+function appendTranscript(phoneNumber, entry, options) {
+  const userKey = normalizePhone(phoneNumber);
+  const write = (transcriptWrites.get(userKey) || Promise.resolve())
+    .catch(() => {})
+    .then(() => writeTranscriptEntry(userKey, entry, options));
+  transcriptWrites.set(userKey, write);
+  write.catch(() => {}).finally(() => {
+    if (transcriptWrites.get(userKey) === write) transcriptWrites.delete(userKey);
+  });
+  return write;
+}
+
+async function writeTranscriptEntry(userKey, entry, { respondent = false } = {}) {
+  if (await isOptedOut(userKey)) return;
+  if (!respondent) {
+    const state = await getSurveyState(userKey);
+    if (!(state && !state.awaitingConsent) && !(await getHandoff(userKey))) return;
+  }
+  const range = (await store.get('transcripts', userKey)) || { first: 0, next: 0 };
+  await store.set('transcript-messages', `${userKey}:${range.next}`, { at: Date.now(), ...entry }, RESPONSE_TTL_MS);
+  range.next++;
+  for (; range.next - range.first > TRANSCRIPT_MAX_ENTRIES; range.first++) {
+    await store.delete('transcript-messages', `${userKey}:${range.first}`);
+  }
+  await store.set('transcripts', userKey, range, RESPONSE_TTL_MS);
+}
+
+// Oldest first
+async function getTranscript(phoneNumber) {
+  const userKey = normalizePhone(phoneNumber);
+  const range = await store.get('transcripts', userKey);
+  if (!range) return [];
+  const entries = [];
+  for (let seq = range.first; seq < range.next; seq++) {
+    const entry = await store.get('transcript-messages', `${userKey}:${seq}`);
+    if (entry) entries.push(entry);
+  }
+  return entries;
+}
+
+// Deletes a number's transcript, returning how many messages it held
+async function deleteTranscript(userKey) {
+  const range = await store.get('transcripts', userKey);
+  if (!range) return 0;
+  for (let seq = range.first; seq < range.next; seq++) {
+    await store.delete('transcript-messages', `${userKey}:${seq}`);
+  }
+  await store.delete('transcripts', userKey);
+  return range.next - range.first;
+}
+
+// Readable version of a queued message: the question with its options, or the text sent
+function describeOutbound(msg) {
+  const { messageType, data } = msg;
+  switch (messageType) {
+    case 'survey_question': {
+      const question = getSurvey(data.surveyId, data.language)?.questions[data.questionIndex];
+      if (!question) return `Question ${data.questionIndex + 1}`;
+      return [question.text, ...question.options.map(o => `${o.id.toUpperCase()}. ${o.text}`)].join('\n');
+    }
+    case 'text_message':
+    case 'survey_nudge':
+      return data.text;
+    case 'language_question':
+      return t(DEFAULT_LANGUAGE, 'languagePrompt');
+    case 'consent_question':
+      return t(data.language, 'consentPrompt');
+    case 'results_card':
+      return `[image] ${data.caption || ''}`.trim();
+    case 'pdf_report':
+      return `[document] ${data.caption || ''}`.trim();
+    case 'campaign_message':
+      return data.text;
     default:
-      console.warn(`Unknown message type: ${messageType}`);
+      return JSON.stringify(data);
+  }
+}
+
+/* -------- DELIVERY TRACKING -------- */
+// Whapi reports sent/delivered/read/failed per message id in `statuses` webhooks.
+// Every message the queue sends is recorded under its provider id so those
+// events can be tied back to the question (or text) and resent on failure.
+
+const DELIVERY_TTL_MS = parseInt(process.env.DELIVERY_TTL_DAYS || "30", 10) * 24 * 60 * 60 * 1000;
+const DELIVERY_MAX_RESENDS = parseInt(process.env.DELIVERY_MAX_RESENDS || "2", 10);
+const DELIVERY_STATUS_RANK = { pending: 0, sent: 1, delivered: 2, read: 3, played: 4 };
+
+function extractSentMessageId(resp) {
+  const data = resp?.data;
+  return data?.message?.id || data?.message_id || data?.id || null;
+}
+
+async function recordOutboundMessage(msg, resp) {
+  const messageId = extractSentMessageId(resp);
+  if (!messageId) return null; // skipped as duplicate, or provider returned no id
+
+  const { phoneNumber, messageType, data } = msg;
+  const survey = messageType === 'survey_question' ? getSurvey(data.surveyId) : null;
+  const now = Date.now();
+  const record = {
+    messageId,
+    phone: phoneNumber,
+    queueItemId: msg.id,
+    messageType,
+    data,
+    surveyId: survey?.id || data.surveyId || null,
+    questionId: survey?.questions[data.questionIndex]?.id || null,
+    resendCount: data.resendCount || 0,
+    sentAt: now,
+    status: 'sent',
+    timeline: [{ status: 'sent', at: now }]
+  };
+  await store.set('deliveries', messageId, record, DELIVERY_TTL_MS);
+  return record;
+}
+
+// A failed question is only resent while the respondent is still on it in the same run
+async function isQuestionCurrent(record) {
+  const state = await getSurveyState(record.phone);
+  return !!state && state.active && state.responseId === record.data.responseId &&
+    state.currentQuestion === record.data.questionIndex;
+}
+
+async function handleStatusEvent(event) {
+  const messageId = event?.id || event?.message_id || null;
+  const status = String(event?.status || '').toLowerCase();
+  if (!messageId || !status) return 'invalid';
+
+  const record = await store.get('deliveries', messageId);
+  if (!record) {
+    console.log(`Status ${status} for untracked message ${messageId}`);
+    return 'untracked';
+  }
+
+  const at = event.timestamp ? Number(event.timestamp) * 1000 : Date.now();
+  record.timeline.push({ status, at, ...(event.code != null ? { code: event.code } : {}) });
+
+  // Statuses can arrive out of order - keep the furthest one reached, failure wins
+  if (status === 'failed') {
+    record.status = 'failed';
+  } else if (record.status !== 'failed' && (DELIVERY_STATUS_RANK[status] ?? -1) > (DELIVERY_STATUS_RANK[record.status] ?? -1)) {
+    record.status = status;
+  }
+
+  if (status === 'failed' && !record.resentAs && !record.superseded) {
+    if (record.messageType === 'survey_question' && !(await isQuestionCurrent(record))) {
+      record.superseded = true;
+      console.log(`Message ${messageId} to ${record.phone} failed - its question is no longer current, not resending`);
+    } else if (record.resendCount < DELIVERY_MAX_RESENDS) {
+      const resend = await queueMessage(record.phone, record.messageType, {
+        ...record.data,
+        resendOf: messageId,
+        resendCount: record.resendCount + 1
+      });
+      if (resend) {
+        record.resentAs = resend.id;
+        console.warn(`Message ${messageId} to ${record.phone} failed - resend ${record.resendCount + 1}/${DELIVERY_MAX_RESENDS} queued`);
+      }
+    } else {
+      console.error(`Message ${messageId} to ${record.phone} failed - resend limit reached`);
+    }
+  }
+
+  await store.set('deliveries', messageId, record, DELIVERY_TTL_MS);
+  return status;
+}
+
+// Per question: how many sends reached delivered / read / failed
+async function getQuestionDeliveryStats() {
+  const stats = {};
+  for (const [, record] of await store.entries('deliveries')) {
+    if (!record.surveyId || !record.questionId) continue;
+    const bySurvey = stats[record.surveyId] || (stats[record.surveyId] = {});
+    const q = bySurvey[record.questionId] || (bySurvey[record.questionId] = { sent: 0, delivered: 0, read: 0, failed: 0 });
+    q.sent++;
+    if (record.status === 'failed') q.failed++;
+    if ((DELIVERY_STATUS_RANK[record.status] ?? -1) >= DELIVERY_STATUS_RANK.delivered) q.delivered++;
+    if ((DELIVERY_STATUS_RANK[record.status] ?? -1) >= DELIVERY_STATUS_RANK.read) q.read++;
   }
+  for (const bySurvey of Object.values(stats)) {
+    for (const q of Object.values(bySurvey)) {
+      q.deliveryRate = q.sent ? +(q.delivered / q.sent).toFixed(3) : 0;
+      q.readRate = q.sent ? +(q.read / q.sent).toFixed(3) : 0;
+    }
+  }
+  return stats;
 }
 
 /* -------- DEDUPE & SENT CACHE -------- */
-const dedupe = new LRU({ max: MAX_DEDUPE_ENTRIES, ttl: DEDUPE_TTL_MS });
+// Inbound dedupe markers live in the store ('dedupe' namespace, DEDUPE_TTL_MS)
 
 // Sent cache prevents duplicate API calls for same to+payload within TTL.
 // Reduced TTL - allow same user to get same content multiple times per session
@@ -452,15 +899,16 @@ const sentCache = new LRU({ max: 20000, ttl: SENT_CACHE_TTL_MS });
 app.get("/health", (req, res) => res.json({ ok: true }));
 
 // Start queue processor
+restoreDailySendCount().catch(err => console.error("Failed to restore daily send count:", err.message));
 setInterval(processMessageQueue, 1000); // Check every second
 
 /* -------- WHAPI helpers -------- */
 
-async function sendTextOnce(toPhone, body, timeoutMs) {
+async function sendTextOnce(toPhone, body, timeoutMs, { bypassSentCache = false } = {}) {
   const trace = createRequestTrace('text', toPhone, { body });
   const fingerprint = createMessageFingerprint(toPhone, body, 'text');
 
-  if (sentCache.get(fingerprint)) {
+  if (sentCache.get(fingerprint) && !bypassSentCache) {
     console.log(`TRACE ${trace.id}: sendTextOnce SKIPPED (fingerprint: ${fingerprint})`, toPhone);
     return { skipped: true, fingerprint };
   }
@@ -472,10 +920,6 @@ async function sendTextOnce(toPhone, body, timeoutMs) {
   };
   const payload = { to: String(toPhone), body: String(body) };
 
-  if (!checkRateLimit()) {
-    throw new Error('Rate limit exceeded - please retry later');
-  }
-
   try {
     const resp = await axios.post(SEND_TEXT_URL, payload, { headers, timeout: timeoutMs });
     analyzeWhapiResponse(trace, resp);
@@ -498,13 +942,72 @@ async function sendTextOnce(toPhone, body, timeoutMs) {
   }
 }
 
+// Image as a base64 data URL, so nothing has to be hosted or uploaded first
+async function sendImageOnce(toPhone, png, caption, timeoutMs, { bypassSentCache = false } = {}) {
+  const media = `data:image/png;base64,${png.toString('base64')}`;
+  const trace = createRequestTrace('image', toPhone, { caption, size: png.length });
+  const fingerprint = createMessageFingerprint(toPhone, { media: sha256hex(media) }, 'image');
+
+  if (sentCache.get(fingerprint) && !bypassSentCache) {
+    console.log(`TRACE ${trace.id}: sendImageOnce SKIPPED (fingerprint: ${fingerprint})`, toPhone);
+    return { skipped: true, fingerprint };
+  }
+
+  const headers = {
+    Authorization: `Bearer ${SEND_API_KEY}`,
+    "Content-Type": "application/json",
+    "X-Request-Id": trace.id
+  };
+  const payload = { to: String(toPhone), media, ...(caption ? { caption: String(caption) } : {}) };
+
+  try {
+    const resp = await axios.post(SEND_IMAGE_URL, payload, { headers, timeout: timeoutMs });
+    analyzeWhapiResponse(trace, resp);
+    sentCache.set(fingerprint, true);
+    console.log(`TRACE ${trace.id}: sendImageOnce SUCCESS (fingerprint: ${fingerprint})`);
+    return resp;
+  } catch (error) {
+    analyzeWhapiResponse(trace, null, error);
+    throw error;
+  }
+}
+
+// `media` is an uploaded media id (see media-upload.js)
+async function sendDocumentOnce(toPhone, media, filename, caption, timeoutMs, { bypassSentCache = false } = {}) {
+  const trace = createRequestTrace('document', toPhone, { media, filename, caption });
+  const fingerprint = createMessageFingerprint(toPhone, { media: filename, body: caption }, 'document');
+
+  if (sentCache.get(fingerprint) && !bypassSentCache) {
+    console.log(`TRACE ${trace.id}: sendDocumentOnce SKIPPED (fingerprint: ${fingerprint})`, toPhone);
+    return { skipped: true, fingerprint };
+  }
+
+  const headers = {
+    Authorization: `Bearer ${SEND_API_KEY}`,
+    "Content-Type": "application/json",
+    "X-Request-Id": trace.id
+  };
+  const payload = { to: String(toPhone), media, filename, ...(caption ? { caption: String(caption) } : {}) };
+
+  try {
+    const resp = await axios.post(SEND_DOCUMENT_URL, payload, { headers, timeout: timeoutMs });
+    analyzeWhapiResponse(trace, resp);
+    sentCache.set(fingerprint, true);
+    console.log(`TRACE ${trace.id}: sendDocumentOnce SUCCESS (fingerprint: ${fingerprint})`);
+    return resp;
+  } catch (error) {
+    analyzeWhapiResponse(trace, null, error);
+    throw error;
+  }
+}
+
 /* -------- SURVEY FUNCTIONS -------- */
 
-async function sendInteractiveButtons(toPhone, bodyText, buttons, footerText = null) {
+async function sendInteractiveButtons(toPhone, bodyText, buttons, footerText = null, { bypassSentCache = false } = {}) {
   const trace = createRequestTrace('interactive', toPhone, { body: bodyText, buttons });
   const fingerprint = createMessageFingerprint(toPhone, { body: bodyText, buttons }, 'interactive');
 
-  if (sentCache.get(fingerprint)) {
+  if (sentCache.get(fingerprint) && !bypassSentCache) {
     console.log(`TRACE ${trace.id}: sendInteractiveButtons SKIPPED (fingerprint: ${fingerprint})`, toPhone);
     return { skipped: true, fingerprint };
   }
@@ -527,7 +1030,7 @@ async function sendInteractiveButtons(toPhone, bodyText, buttons, footerText = n
         type: "reply",
         reply: {
           id: btn.id || `btn_${idx}`,
-          title: btn.text.substring(0, 20) // WhatsApp limit
+          title: btn.text.substring(0, BUTTON_TITLE_MAX) // WhatsApp limit
         }
       }))
     }
@@ -537,15 +1040,64 @@ async function sendInteractiveButtons(toPhone, bodyText, buttons, footerText = n
     payload.footer = { text: String(footerText) };
   }
 
-  if (!checkRateLimit()) {
-    throw new Error('Rate limit exceeded - please retry later');
+  try {
+    const resp = await axios.post(SEND_INTERACTIVE_URL, payload, { headers, timeout: TEXT_TIMEOUT_MS });
+    analyzeWhapiResponse(trace, resp);
+    sentCache.set(fingerprint, true);
+    console.log(`TRACE ${trace.id}: sendInteractiveButtons SUCCESS (fingerprint: ${fingerprint})`);
+    return resp;
+  } catch (error) {
+    analyzeWhapiResponse(trace, null, error);
+    throw error;
+  }
+}
+
+async function sendInteractiveList(toPhone, bodyText, buttonLabel, rows, footerText = null, { bypassSentCache = false } = {}) {
+  const trace = createRequestTrace('interactive-list', toPhone, { body: bodyText, rows });
+  const fingerprint = createMessageFingerprint(toPhone, { body: bodyText, rows }, 'interactive');
+
+  if (sentCache.get(fingerprint) && !bypassSentCache) {
+    console.log(`TRACE ${trace.id}: sendInteractiveList SKIPPED (fingerprint: ${fingerprint})`, toPhone);
+    return { skipped: true, fingerprint };
+  }
+
+  const headers = {
+    Authorization: `Bearer ${SEND_API_KEY}`,
+    "Content-Type": "application/json",
+    "X-Request-Id": trace.id
+  };
+
+  // WHAPI interactive list format - one section, tapping the label opens the rows
+  const payload = {
+    to: String(toPhone),
+    type: "list",
+    body: {
+      text: String(bodyText)
+    },
+    action: {
+      list: {
+        label: truncateText(buttonLabel, LIST_BUTTON_LABEL_MAX),
+        sections: [{
+          title: "Options",
+          rows: rows.map((row, idx) => ({
+            id: row.id || `row_${idx}`,
+            title: truncateText(row.title, LIST_ROW_TITLE_MAX),
+            ...(row.description ? { description: truncateText(row.description, LIST_ROW_DESCRIPTION_MAX) } : {})
+          }))
+        }]
+      }
+    }
+  };
+
+  if (footerText) {
+    payload.footer = { text: String(footerText) };
   }
 
   try {
     const resp = await axios.post(SEND_INTERACTIVE_URL, payload, { headers, timeout: TEXT_TIMEOUT_MS });
     analyzeWhapiResponse(trace, resp);
     sentCache.set(fingerprint, true);
-    console.log(`TRACE ${trace.id}: sendInteractiveButtons SUCCESS (fingerprint: ${fingerprint})`);
+    console.log(`TRACE ${trace.id}: sendInteractiveList SUCCESS (fingerprint: ${fingerprint})`);
     return resp;
   } catch (error) {
     analyzeWhapiResponse(trace, null, error);
@@ -553,68 +1105,461 @@ async function sendInteractiveButtons(toPhone, bodyText, buttons, footerText = n
   }
 }
 
-function getSurveyState(phoneNumber) {
+async function getSurveyState(phoneNumber) {
   const userKey = normalizePhone(phoneNumber);
-  return surveyStateCache.get(userKey);
+  return store.get('survey', userKey);
 }
 
-function updateSurveyState(phoneNumber, state) {
+async function updateSurveyState(phoneNumber, state) {
   const userKey = normalizePhone(phoneNumber);
-  surveyStateCache.set(userKey, state);
+  await store.set('survey', userKey, state, SURVEY_TTL_MS);
+  // Kept for exports, analytics and campaigns only once they have agreed
+  if (!state.awaitingConsent) {
+    await store.set('responses', state.responseId, { ...state, phone: userKey }, RESPONSE_TTL_MS);
+  }
   console.log(`Survey state updated for ${phoneNumber}: Question ${state.currentQuestion}, Score ${state.totalScore}`);
 }
 
-function initializeSurvey(phoneNumber) {
+// language: chosen code, or null to ask first (awaitingLanguage) when translations exist;
+// languagePicked when the respondent named it, so it is remembered for their next run.
+// consentAt carries consent over from the run being restarted.
+async function initializeSurvey(phoneNumber, survey, language = DEFAULT_LANGUAGE, { consentAt = null, languagePicked = false } = {}) {
+  const askLanguage = !language && ASK_LANGUAGE && I18N.languages.size > 1;
+  consentAt = consentAt || await getUserConsent(phoneNumber);
   const state = {
+    responseId: crypto.randomUUID(),
+    surveyId: survey.id,
+    surveyVersion: survey.version,
+    language: language || DEFAULT_LANGUAGE,
+    ...(askLanguage ? { awaitingLanguage: true } : {}),
+    ...(languagePicked ? { languagePicked: true } : {}),
+    ...(CONSENT_REQUIRED && !consentAt ? { awaitingConsent: true } : {}),
+    ...(consentAt ? { consentAt } : {}),
     active: true,
-    currentQuestion: 0,
+    currentQuestion: getNextQuestionIndex(survey, 0, []),
     answers: [],
     totalScore: 0,
     startedAt: Date.now()
   };
-  updateSurveyState(phoneNumber, state);
+  await updateSurveyState(phoneNumber, state);
   return state;
 }
 
-async function sendSurveyQuestion(phoneNumber, questionIndex) {
-  const question = SURVEY_QUESTIONS[questionIndex];
-  if (!question) {
-    console.error(`Question ${questionIndex} not found`);
-    return;
-  }
-
-  const sectionHeader = questionIndex === 0 || SURVEY_QUESTIONS[questionIndex - 1]?.section !== question.section
-    ? `\n*SECTION: ${question.section}*\n\n`
-    : '';
+// What starting a run puts on the user record: the contact and a language they
+// picked. Only once they have agreed - handleConsentReply calls this until then.
+async function recordSurveyStart(phoneNumber, state) {
+  if (state.languagePicked) await setUserLanguage(phoneNumber, state.language);
+  await markUserContacted(phoneNumber, 'survey_started');
+}
 
-  const bodyText = `${sectionHeader}${question.text}${question.multiSelect ? '\n(You can select multiple)' : ''}`;
+// Ends a run as stopped: by *end*, or because a new run replaces it, so its
+// 'responses' record doesn't stay active
+async function stopRun(phoneNumber, state) {
+  state.active = false;
+  state.stoppedAt = Date.now();
+  delete state.pendingSelection;
+  await updateSurveyState(phoneNumber, state);
+}
 
-  if (question.openText) {
-    // For open text questions, just send a regular text message
-    await sendTextOnce(phoneNumber, `${bodyText}\n\nPlease type your answer:`, TEXT_TIMEOUT_MS);
-  } else {
-    // Send interactive buttons
-    const buttons = question.options.map(opt => ({
-      id: `${question.id}_${opt.id}`,
-      text: opt.text
-    }));
+/* -------- BRANCHING -------- */
 
-    const footerText = `Question ${questionIndex + 1} of ${SURVEY_QUESTIONS.length}`;
-    await sendInteractiveButtons(phoneNumber, bodyText, buttons, footerText);
+// true / false, or undefined while a referenced question is still ahead of us
+function evaluateCondition(cond, answers, decidedIds) {
+  if (cond.all) {
+    const results = cond.all.map(c => evaluateCondition(c, answers, decidedIds));
+    if (results.includes(false)) return false;
+    return results.includes(undefined) ? undefined : true;
+  }
+  if (cond.any) {
+    const results = cond.any.map(c => evaluateCondition(c, answers, decidedIds));
+    if (results.includes(true)) return true;
+    return results.includes(undefined) ? undefined : false;
   }
+  if (!decidedIds.has(cond.question)) return undefined;
+
+  // A skipped question has no answer and counts as nothing selected
+  const answer = answers.find(a => a.questionId === cond.question);
+  const selected = answer?.selectedOptions || [];
+  if (cond.anyOf) return cond.anyOf.some(id => selected.includes(id));
+  return !cond.noneOf.some(id => selected.includes(id));
 }
 
-function calculateScore(questionId, selectedOptions) {
-  const question = SURVEY_QUESTIONS.find(q => q.id === questionId);
-  if (!question) return 0;
+// undefined (not yet decidable) counts as "will be asked"
+function shouldAskQuestion(question, answers, decidedIds) {
+  if (question.showIf && evaluateCondition(question.showIf, answers, decidedIds) === false) return false;
+  if (question.skipIf && evaluateCondition(question.skipIf, answers, decidedIds) === true) return false;
+  return true;
+}
 
-  if (question.openText) {
-    return 0; // Open text doesn't contribute to score
+function decidedQuestionIds(survey, beforeIndex) {
+  return new Set(survey.questions.slice(0, beforeIndex).map(q => q.id));
+}
+
+// Index of the next question to ask at or after fromIndex (questions.length when done)
+function getNextQuestionIndex(survey, fromIndex, answers) {
+  for (let i = fromIndex; i < survey.questions.length; i++) {
+    if (shouldAskQuestion(survey.questions[i], answers, decidedQuestionIds(survey, i))) return i;
   }
+  return survey.questions.length;
+}
 
-  if (question.multiSelect) {
-    // For multi-select, sum up points but cap at maxPoints
-    const points = selectedOptions.reduce((sum, optId) => {
+// Position on the respondent's actual path: answered so far + what's still
+// expected from here (questions depending on later answers are counted in)
+function getQuestionProgress(survey, questionIndex, answers) {
+  const decided = decidedQuestionIds(survey, questionIndex);
+  const remaining = survey.questions.slice(questionIndex)
+    .filter(q => shouldAskQuestion(q, answers, decided)).length;
+  const lastAnswered = answers.length ? survey.questions.find(q => q.id === answers[answers.length - 1].questionId) : null;
+  return {
+    number: answers.length + 1,
+    total: answers.length + remaining,
+    newSection: !lastAnswered || lastAnswered.section !== survey.questions[questionIndex].section
+  };
+}
+
+async function queueSurveyQuestion(phoneNumber, survey, state, extra = {}) {
+  return queueMessage(phoneNumber, 'survey_question', {
+    surveyId: survey.id,
+    responseId: state.responseId,
+    language: state.language || DEFAULT_LANGUAGE,
+    questionIndex: state.currentQuestion,
+    progress: getQuestionProgress(survey, state.currentQuestion, state.answers),
+    plainText: PLAIN_TEXT_QUESTIONS || !!state.plainText,
+    ...extra
+  });
+}
+
+// Called by the queue worker once a question has actually gone out, for
+// time-to-answer. Kept apart from the survey state, which the webhook may be
+// updating at the same time. Re-sends of the same question keep the first time.
+async function markQuestionSent(msg) {
+  const { responseId, questionIndex } = msg.data;
+  if (!responseId) return;
+  const phone = normalizePhone(msg.phoneNumber);
+  const sent = await store.get('question-sent', phone);
+  if (sent && sent.responseId === responseId && sent.index === questionIndex) return;
+  await store.set('question-sent', phone, { responseId, index: questionIndex, at: Date.now() }, SURVEY_TTL_MS);
+}
+
+// Stored with each answer: when its question was sent and when the reply came in
+async function answerTimestamps(phoneNumber, state) {
+  const sent = await store.get('question-sent', normalizePhone(phoneNumber));
+  return {
+    askedAt: sent && sent.responseId === state.responseId && sent.index === state.currentQuestion ? sent.at : null,
+    answeredAt: Date.now()
+  };
+}
+
+async function sendSurveyQuestion(phoneNumber, survey, questionIndex, { selected = [], progress, plainText = false, bypassSentCache = false } = {}) {
+  const question = survey?.questions[questionIndex];
+  if (!question) {
+    console.error(`Question ${questionIndex} not found`);
+    return;
+  }
+
+  const lang = survey.language;
+  const sectionHeader = progress.newSection
+    ? `\n*${t(lang, 'sectionHeader', { section: question.section })}*\n\n`
+    : '';
+
+  let bodyText = `${sectionHeader}${question.text}`;
+  if (question.multiSelect) {
+    bodyText += `\n${t(lang, 'multiSelectHint')}`;
+    if (selected.length) bodyText += `\n\n${t(lang, 'selectedSoFar', { selected: selected.map(id => id.toUpperCase()).join(', ') })}`;
+  }
+
+  if (question.openText) {
+    // For open text questions, just send a regular text message
+    return sendTextOnce(phoneNumber, `${bodyText}\n\n${t(lang, 'typeYourAnswer')}`, TEXT_TIMEOUT_MS, { bypassSentCache });
+  } else if (plainText) {
+    // Respondent answers by typing (or their client can't show interactive messages)
+    const lines = question.options.map((opt, i) =>
+      `${selected.includes(opt.id) ? '✓ ' : ''}*${opt.id.toUpperCase()}* (${i + 1}) ${opt.text}`);
+    const hint = t(lang, question.multiSelect ? 'plainTextMultiHint' : 'plainTextSingleHint');
+    const footer = t(lang, 'questionProgress', progress);
+    return sendTextOnce(phoneNumber, `${bodyText}\n\n${lines.join('\n')}\n\n${hint}\n_${footer}_`, TEXT_TIMEOUT_MS, { bypassSentCache });
+  } else {
+    const footerText = t(lang, 'questionProgress', progress);
+
+    if (fitsReplyButtons(question)) {
+      // Send interactive buttons
+      const buttons = question.options.map(opt => ({
+        id: `${question.id}_${opt.id}`,
+        text: opt.text
+      }));
+      return sendInteractiveButtons(phoneNumber, bodyText, buttons, footerText, { bypassSentCache });
+    } else {
+      // Too many or too long for buttons - list rows carry the full text in the description
+      const rows = question.options.map(opt => {
+        const title = `${selected.includes(opt.id) ? '✓ ' : ''}${opt.id.toUpperCase()}. ${opt.text}`;
+        return {
+          id: `${question.id}_${opt.id}`,
+          title,
+          description: title.length > LIST_ROW_TITLE_MAX ? opt.text : null
+        };
+      });
+      if (question.multiSelect) {
+        rows.push({ id: `${question.id}_${MULTI_SELECT_DONE_ID}`, title: t(lang, 'doneTitle'), description: t(lang, 'doneDescription') });
+      }
+      const label = t(lang, question.multiSelect ? 'chooseOptions' : 'chooseAnswer');
+      return sendInteractiveList(phoneNumber, bodyText, label, rows, footerText, { bypassSentCache });
+    }
+  }
+}
+
+/* -------- LANGUAGE -------- */
+
+// One prompt in every available language, since we don't know theirs yet
+async function sendLanguageQuestion(phoneNumber, { bypassSentCache = false } = {}) {
+  const languages = [...I18N.languages.values()];
+  const prompts = [...new Set(languages.map(l => t(l.code, 'languagePrompt')))];
+  const bodyText = `🌐 ${prompts.join('\n')}`;
+  const options = languages.map(l => ({ id: `lang_${l.code}`, text: l.name }));
+
+  if (options.length <= MAX_REPLY_BUTTONS && options.every(o => o.text.length <= BUTTON_TITLE_MAX)) {
+    return sendInteractiveButtons(phoneNumber, bodyText, options, null, { bypassSentCache });
+  }
+  const rows = options.map((o, i) => ({ id: o.id, title: `${i + 1}. ${o.text}` }));
+  return sendInteractiveList(phoneNumber, bodyText, t(DEFAULT_LANGUAGE, 'languageButton'), rows, null, { bypassSentCache });
+}
+
+// Tapped row, or a typed code / name / alias / list number
+function parseLanguageReply(buttonId, messageText) {
+  if (buttonId && buttonId.startsWith('lang_')) {
+    const code = buttonId.slice('lang_'.length);
+    return I18N.languages.has(code) ? code : null;
+  }
+  const typed = (messageText || '').trim();
+  if (/^\d{1,2}$/.test(typed)) return [...I18N.languages.keys()][parseInt(typed, 10) - 1] || null;
+  return matchLanguage(I18N.languages, typed);
+}
+
+// Welcome and first question, in the respondent's language - or, until they
+// have agreed, the consent question (handleConsentReply comes back here)
+async function queueSurveyIntro(phoneNumber, survey, state) {
+  if (state.awaitingConsent) {
+    await queueMessage(phoneNumber, 'consent_question', { surveyId: survey.id, language: state.language });
+    return;
+  }
+  const localized = I18N.localize(survey, state.language);
+  await queueMessage(phoneNumber, 'text_message', { text: localized.messages.welcome });
+  await sleep(500);
+  await queueSurveyQuestion(phoneNumber, localized, state);
+}
+
+async function handleLanguageReply(phoneNumber, state, survey, buttonId, messageText) {
+  const language = parseLanguageReply(buttonId, messageText);
+  if (!language) {
+    await queueMessage(phoneNumber, 'language_question', { surveyId: survey.id });
+    return true;
+  }
+
+  state.language = language;
+  state.languagePicked = true;
+  delete state.awaitingLanguage;
+  await updateSurveyState(phoneNumber, state);
+  if (!state.awaitingConsent) await setUserLanguage(phoneNumber, language);
+  console.log(`Language ${language} chosen by ${phoneNumber}`);
+
+  if (state.answers.length === 0 && !state.pendingSelection) {
+    await queueSurveyIntro(phoneNumber, survey, state);
+  } else {
+    // Changed mid-survey: carry on from the current question in the new language
+    const name = I18N.languages.get(language).name;
+    await queueMessage(phoneNumber, 'text_message', { text: t(language, 'languageChanged', { language: name }) });
+    await queueSurveyQuestion(phoneNumber, I18N.localize(survey, language), state, { selected: state.pendingSelection || [] });
+  }
+  return true;
+}
+
+/* -------- CONSENT -------- */
+// Before the first question respondents are asked to agree to their answers and
+// number being stored, once per number while its user record lasts (USER_TTL_MS).
+
+const CONSENT_REQUIRED = process.env.CONSENT_REQUIRED !== "false";
+
+async function sendConsentQuestion(phoneNumber, language, { bypassSentCache = false } = {}) {
+  const bodyText = t(language, 'consentPrompt');
+  const options = [
+    { id: 'consent_yes', text: t(language, 'consentYes') },
+    { id: 'consent_no', text: t(language, 'consentNo') }
+  ];
+  if (options.every(o => o.text.length <= BUTTON_TITLE_MAX)) {
+    return sendInteractiveButtons(phoneNumber, bodyText, options, null, { bypassSentCache });
+  }
+  const rows = options.map((o, i) => ({ id: o.id, title: `${i + 1}. ${o.text}` }));
+  return sendInteractiveList(phoneNumber, bodyText, t(language, 'chooseAnswer'), rows, null, { bypassSentCache });
+}
+
+// true / false, or null when the reply is neither
+function parseConsentReply(language, buttonId, messageText) {
+  if (buttonId === 'consent_yes') return true;
+  if (buttonId === 'consent_no') return false;
+  if (buttonId) return null;
+  const typed = normalizeAnswerText(messageText);
+  if (['yes', 'y', 'ok', 'agree', 'i agree', '1', normalizeAnswerText(t(language, 'consentYes'))].includes(typed)) return true;
+  if (['no', 'n', '2', normalizeAnswerText(t(language, 'consentNo'))].includes(typed)) return false;
+  return null;
+}
+
+async function handleConsentReply(phoneNumber, state, survey, buttonId, messageText) {
+  const agreed = parseConsentReply(state.language, buttonId, messageText);
+  if (agreed === null) {
+    await queueMessage(phoneNumber, 'consent_question', { surveyId: survey.id, language: state.language });
+    return true;
+  }
+
+  if (!agreed) {
+    // Nothing is kept for a run they didn't agree to: its state and its messages'
+    // delivery records go (responses, the user record and transcripts wait for consent)
+    const phone = normalizePhone(phoneNumber);
+    await store.delete('survey', phone);
+    for (const [messageId, record] of await store.entries('deliveries')) {
+      if (record.phone === phone && record.sentAt >= state.startedAt) await store.delete('deliveries', messageId);
+    }
+    await queueMessage(phoneNumber, 'text_message', { text: t(state.language, 'consentDeclined', { trigger: survey.triggers[0] }), noRecord: true });
+    console.log(`Consent declined by ${phoneNumber} - survey ${survey.id} discarded`);
+    return true;
+  }
+
+  delete state.awaitingConsent;
+  state.consentAt = Date.now();
+  await updateSurveyState(phoneNumber, state);
+  await setUserConsent(phoneNumber, state.consentAt);
+  await recordSurveyStart(phoneNumber, state);
+  console.log(`Consent given by ${phoneNumber} for survey ${survey.id}`);
+  await queueSurveyIntro(phoneNumber, survey, state);
+  return true;
+}
+
+function fitsReplyButtons(question) {
+  // Multi-select always needs the extra "Done" row
+  return !question.multiSelect && question.options.length <= MAX_REPLY_BUTTONS &&
+    question.options.every(opt => opt.text.length <= BUTTON_TITLE_MAX);
+}
+
+/* -------- TYPED ANSWERS -------- */
+
+function normalizeAnswerText(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}₹+]+/gu, ' ').trim();
+}
+
+// Word-set overlap (Dice coefficient), 0..1
+function wordSimilarity(a, b) {
+  const wa = new Set(a.split(' ').filter(Boolean));
+  const wb = new Set(b.split(' ').filter(Boolean));
+  if (!wa.size || !wb.size) return 0;
+  let shared = 0;
+  wa.forEach(w => { if (wb.has(w)) shared++; });
+  return (2 * shared) / (wa.size + wb.size);
+}
+
+/*
+ * Map a typed reply onto one option of a choice question:
+ *  - letter:  "b", "B)", "(b)", "option b"
+ *  - number:  "2" (1-based position)
+ *  - text:    exact or fuzzy match on the option text; must be unambiguous
+ * Returns the option id, or null.
+ */
+function parseTypedAnswer(question, text) {
+  const raw = String(text || '').toLowerCase().trim();
+  if (!raw) return null;
+
+  const token = raw.replace(/^(option|answer|opt)\s+/, '').replace(/^[(\[]|[)\].:]$/g, '').trim();
+  const byId = question.options.find(o => o.id === token);
+  if (byId) return byId.id;
+  if (/^\d{1,2}$/.test(token)) {
+    const byNumber = question.options[parseInt(token, 10) - 1];
+    return byNumber ? byNumber.id : null;
+  }
+
+  const typed = normalizeAnswerText(raw);
+  if (typed.length < 3) return null;
+  const scored = question.options.map(o => {
+    const optionText = normalizeAnswerText(o.text);
+    let score = wordSimilarity(typed, optionText);
+    if (typed === optionText) score = 1;
+    else if (optionText.includes(typed) || typed.includes(optionText)) score = Math.max(score, 0.8);
+    return { id: o.id, score };
+  }).sort((a, b) => b.score - a.score);
+
+  const [best, second] = scored;
+  if (best.score < 0.6) return null;
+  if (second && best.score - second.score < 0.15) return null; // too close to call
+  return best.id;
+}
+
+/*
+ * Multi-select input: each tapped option toggles in state.pendingSelection until
+ * "Done"; a typed list ("a, c, d") is taken as the complete answer in one go.
+ * Exclusive options ("None of the above") can't be combined with the others.
+ * Returns { status: 'updated' | 'done' | 'invalid', selection, message }.
+ */
+function applyMultiSelectInput(state, question, buttonId, messageText) {
+  const lang = state.language;
+  const optionIds = question.options.map(o => o.id);
+  const exclusiveIds = question.options.filter(o => o.exclusive).map(o => o.id);
+  let selection = state.pendingSelection || [];
+
+  const finish = (sel) => sel.length
+    ? { status: 'done', selection: sel }
+    : { status: 'invalid', selection: sel, message: t(lang, 'selectAtLeastOne') };
+
+  if (buttonId && buttonId.startsWith(`${question.id}_`)) {
+    const optionId = buttonId.split('_')[1];
+    if (optionId === MULTI_SELECT_DONE_ID) return finish(selection);
+    if (!optionIds.includes(optionId)) return { status: 'invalid', selection, message: null };
+
+    if (selection.includes(optionId)) {
+      selection = selection.filter(id => id !== optionId); // second tap deselects
+    } else if (exclusiveIds.includes(optionId)) {
+      selection = [optionId];
+    } else {
+      selection = selection.filter(id => !exclusiveIds.includes(id)).concat(optionId);
+    }
+    return { status: 'updated', selection };
+  }
+
+  const typed = (messageText || '').toLowerCase().trim();
+  if (!typed) return { status: 'invalid', selection, message: null };
+  if (typed === MULTI_SELECT_DONE_ID) return finish(selection);
+
+  // Comma/"and"-separated pieces, each a letter, number or option text;
+  // a piece like "a c d" is read as several letters
+  const tokens = [];
+  for (const piece of typed.split(/[,;&\n]+|\band\b/).map(p => p.trim()).filter(Boolean)) {
+    const id = parseTypedAnswer(question, piece);
+    if (id) {
+      tokens.push(id);
+      continue;
+    }
+    const parts = piece.split(/[\s/]+/).map(p => parseTypedAnswer(question, p));
+    if (parts.some(p => !p)) {
+      return { status: 'invalid', selection, message: t(lang, 'multiSelectInvalid', { examples: optionIds.slice(0, 2).join(', ') }) };
+    }
+    tokens.push(...parts);
+  }
+  if (!tokens.length) return { status: 'invalid', selection, message: null };
+
+  const typedSelection = [...new Set(tokens)];
+  if (typedSelection.length > 1 && typedSelection.some(id => exclusiveIds.includes(id))) {
+    const none = question.options.find(o => o.exclusive);
+    return { status: 'invalid', selection, message: t(lang, 'exclusiveConflict', { option: none.text }) };
+  }
+  return finish(typedSelection);
+}
+
+function calculateScore(survey, questionId, selectedOptions) {
+  const question = survey.questions.find(q => q.id === questionId);
+  if (!question) return 0;
+
+  if (question.openText) {
+    return 0; // Open text doesn't contribute to score
+  }
+
+  if (question.multiSelect) {
+    // For multi-select, sum up points but cap at maxPoints
+    const points = selectedOptions.reduce((sum, optId) => {
       const option = question.options.find(o => o.id === optId);
       return sum + (option?.points || 0);
     }, 0);
@@ -626,155 +1571,1044 @@ function calculateScore(questionId, selectedOptions) {
   }
 }
 
-function getTierFromScore(score) {
-  if (score >= 25) return 'tier1'; // AI Ready
-  if (score >= 15) return 'tier2'; // AI Curious
-  return 'tier3'; // AI Explorers
+// Tiers are sorted highest floor first, the last one always starts at 0
+function getTierFromScore(survey, score) {
+  return survey.tiers.find(t => score >= t.minScore).id;
 }
 
-async function sendActionPlan(phoneNumber, score) {
-  const tier = getTierFromScore(score);
-  const plan = ACTION_PLANS[tier];
-
-  // Send title first
-  await queueMessage(phoneNumber, 'text_message', {
-    text: `*${plan.title}*\n\nYour Score: ${score}/35 points`
+// Points per section on the respondent's answers; skipped questions count 0
+function getSectionScores(survey, answers) {
+  return survey.sections.map((section, sectionIndex) => {
+    const score = answers
+      .filter(a => survey.questions.find(q => q.id === a.questionId)?.sectionIndex === sectionIndex)
+      .reduce((sum, a) => sum + (a.points || 0), 0);
+    return { title: section.title, score, maxScore: section.maxScore };
   });
+}
+
+// Option text (in the respondent's language) or the typed open text answer
+function getAnswerText(survey, answers, questionId) {
+  const answer = answers.find(a => a.questionId === questionId);
+  if (!answer) return '';
+  if (answer.answer != null) return answer.answer;
+  const question = survey.questions.find(q => q.id === questionId);
+  return (answer.selectedOptions || []).map(id => question?.options.find(o => o.id === id)?.text || id).join(', ');
+}
+
+// Action plan templates (see survey-loader.js): drop messages and blocks whose
+// `when` doesn't hold for the finished answers, then fill the placeholders
+function renderActionPlan(survey, state, tier) {
+  const decided = new Set(survey.questions.map(q => q.id));
+  const holds = (item) => !item.when || evaluateCondition(item.when, state.answers, decided) === true;
+  const vars = { score: state.totalScore, maxScore: survey.maxScore, tierLabel: tier.label };
+  survey.questions.forEach(q => { vars[`answer.${q.id}`] = getAnswerText(survey, state.answers, q.id); });
+  const fillText = (text) => text.replace(/\{\{([\w.]+)\}\}/g, (match, name) => (vars[name] != null ? String(vars[name]) : ''));
+
+  return tier.actionPlan.messages
+    .filter(item => typeof item === 'string' || holds(item))
+    .map(item => {
+      if (typeof item === 'string') return fillText(item);
+      if (!item.blocks) return fillText(item.text);
+      return item.blocks
+        .filter(block => typeof block === 'string' || holds(block))
+        .map(block => fillText(typeof block === 'string' ? block : block.text))
+        .join('\n');
+    })
+    .filter(text => text.trim());
+}
+
+async function sendActionPlan(phoneNumber, survey, state) {
+  const score = state.totalScore;
+  const tier = survey.tiers.find(t => t.id === getTierFromScore(survey, score));
+  const plan = tier.actionPlan;
+  const lang = survey.language;
+
+  // Title, total and (for multi-section surveys) the score per section
+  let summary = `*${plan.title}*\n\n${t(lang, 'yourScore', { score, maxScore: survey.maxScore })}`;
+  if (survey.sections.length > 1) {
+    const lines = getSectionScores(survey, state.answers)
+      .map(s => t(lang, 'sectionScore', { section: s.title, score: s.score, maxScore: s.maxScore }));
+    summary += `\n\n${t(lang, 'sectionScoresTitle')}\n${lines.join('\n')}`;
+  }
+  await queueMessage(phoneNumber, 'text_message', { text: summary });
+
+  if (RESULTS_CARD) {
+    // The card's bitmap font is Latin-only, so it is drawn from the English definition
+    const base = getSurvey(survey.id);
+    await queueMessage(phoneNumber, 'results_card', {
+      card: {
+        title: base.title,
+        score,
+        maxScore: base.maxScore,
+        tierLabel: base.tiers.find(t => t.id === tier.id).label,
+        sections: state.sectionScores || getSectionScores(base, state.answers)
+      },
+      caption: t(lang, 'resultsCardCaption')
+    });
+  }
 
   // Queue all messages with delays
-  for (let i = 0; i < plan.messages.length; i++) {
+  const messages = renderActionPlan(survey, state, tier);
+  for (const text of messages) {
     await sleep(500); // Small delay between queuing
-    await queueMessage(phoneNumber, 'text_message', {
-      text: plan.messages[i]
-    });
+    await queueMessage(phoneNumber, 'text_message', { text });
+  }
+
+  // The PDF goes last, after the text plan - only in a language its font can show
+  if (PDF_REPORT && pdfReportFits(survey)) {
+    await queueMessage(phoneNumber, 'pdf_report', { responseId: state.responseId, caption: t(lang, 'pdfReportCaption') });
   }
 
-  console.log(`Action plan (${tier}) queued for ${phoneNumber} with score ${score}`);
+  console.log(`Action plan (${tier.id}, ${messages.length} messages) queued for ${phoneNumber} with score ${score}`);
+}
+
+// Helvetica has no Devanagari, Gujarati or Tamil, so a survey in those languages
+// gets no PDF rather than an English one with its free text turned into "?"
+function pdfReportFits(survey) {
+  return fitsWinAnsi([survey.title, ...survey.questions.map(q => q.text), ...survey.tiers.map(t => t.label)].join("\n"));
+}
+
+// PDF of a completed response, in the respondent's language (see pdf-report.js)
+async function buildResponseReport(responseId) {
+  const response = await store.get('responses', responseId);
+  const localized = response && getSurvey(response.surveyId, response.language || DEFAULT_LANGUAGE);
+  // Reports queued before pdfReportFits was checked fall back to English
+  const survey = localized && (pdfReportFits(localized) ? localized : getSurvey(response.surveyId));
+  if (!survey || !response.completedAt) return null;
+
+  const record = buildResponseRecord(response, survey);
+  const tier = survey.tiers.find(t => t.id === record.tier);
+  const pdf = await buildPdfReport({
+    survey,
+    record,
+    tierLabel: tier.label,
+    sectionScores: response.sectionScores || getSectionScores(survey, response.answers),
+    plan: { title: tier.actionPlan.title, messages: renderActionPlan(survey, response, tier) }
+  });
+  return { pdf, filename: `${survey.id}-report.pdf` };
 }
 
 async function handleSurveyResponse(phoneNumber, buttonId, messageText) {
-  const state = getSurveyState(phoneNumber);
+  const state = await getSurveyState(phoneNumber);
 
   if (!state || !state.active) {
     console.log(`No active survey for ${phoneNumber}`);
     return false;
   }
 
-  const currentQuestion = SURVEY_QUESTIONS[state.currentQuestion];
+  const survey = getSurvey(state.surveyId, state.language || DEFAULT_LANGUAGE);
+  if (!survey) {
+    // Definition was removed from SURVEY_DIR mid-survey - nothing left to ask
+    console.warn(`Survey ${state.surveyId} no longer loaded - closing state for ${phoneNumber}`);
+    state.active = false;
+    await updateSurveyState(phoneNumber, state);
+    return false;
+  }
+  if (state.surveyVersion && state.surveyVersion !== survey.version) {
+    console.warn(`Survey ${survey.id} for ${phoneNumber} started on v${state.surveyVersion}, continuing on v${survey.version}`);
+  }
+
+  if (state.awaitingLanguage) {
+    return handleLanguageReply(phoneNumber, state, getSurvey(state.surveyId), buttonId, messageText);
+  }
+  if (state.awaitingConsent) {
+    return handleConsentReply(phoneNumber, state, getSurvey(state.surveyId), buttonId, messageText);
+  }
+
+  const currentQuestion = survey.questions[state.currentQuestion];
 
   if (currentQuestion.openText) {
     // Handle open text response
     state.answers.push({
       questionId: currentQuestion.id,
       answer: messageText,
-      points: 0
+      points: 0,
+      ...(await answerTimestamps(phoneNumber, state))
+    });
+  } else if (currentQuestion.multiSelect) {
+    const result = applyMultiSelectInput(state, currentQuestion, buttonId, messageText);
+
+    if (result.status === 'invalid') {
+      if (!result.message) return false;
+      await queueMessage(phoneNumber, 'text_message', { text: result.message });
+      return true;
+    }
+
+    if (!buttonId) state.plainText = true;
+
+    if (result.status === 'updated') {
+      state.pendingSelection = result.selection;
+      await updateSurveyState(phoneNumber, state);
+      // Re-send the list so the respondent sees what's ticked so far
+      await queueSurveyQuestion(phoneNumber, survey, state, { selected: result.selection });
+      return true;
+    }
+
+    const points = calculateScore(survey, currentQuestion.id, result.selection);
+    state.answers.push({
+      questionId: currentQuestion.id,
+      selectedOptions: result.selection,
+      points,
+      ...(await answerTimestamps(phoneNumber, state))
     });
+    state.totalScore += points;
+    delete state.pendingSelection;
   } else {
-    // Handle button response
-    if (!buttonId || !buttonId.startsWith(currentQuestion.id)) {
-      console.log(`Button ID ${buttonId} doesn't match current question ${currentQuestion.id}`);
-      return false;
+    // Handle button response, falling back to a typed letter/number/option text
+    let optionId = null;
+    if (buttonId && buttonId.startsWith(`${currentQuestion.id}_`)) {
+      optionId = buttonId.split('_')[1]; // Extract option id from button id
+    } else if (!buttonId && messageText) {
+      optionId = parseTypedAnswer(currentQuestion, messageText);
+      // Keep this respondent on plain text questions from here on
+      if (optionId) state.plainText = true;
     }
 
-    const optionId = buttonId.split('_')[1]; // Extract option id from button id
-    const points = calculateScore(currentQuestion.id, [optionId]);
+    if (!optionId) {
+      console.log(`Reply ${buttonId || JSON.stringify(messageText)} doesn't match current question ${currentQuestion.id}`);
+      return false;
+    }
+    const points = calculateScore(survey, currentQuestion.id, [optionId]);
 
     state.answers.push({
       questionId: currentQuestion.id,
       selectedOptions: [optionId],
-      points
+      points,
+      ...(await answerTimestamps(phoneNumber, state))
     });
 
     state.totalScore += points;
   }
 
-  // Move to next question
-  state.currentQuestion++;
+  // Move to the next question on this respondent's path
+  state.currentQuestion = getNextQuestionIndex(survey, state.currentQuestion + 1, state.answers);
 
-  if (state.currentQuestion < SURVEY_QUESTIONS.length) {
+  if (state.currentQuestion < survey.questions.length) {
     // More questions to go
-    updateSurveyState(phoneNumber, state);
+    await updateSurveyState(phoneNumber, state);
 
     // Queue next question with delay
-    await queueMessage(phoneNumber, 'survey_question', {
-      questionIndex: state.currentQuestion
-    });
+    await queueSurveyQuestion(phoneNumber, survey, state);
 
     return true;
   } else {
     // Survey completed
     state.active = false;
     state.completedAt = Date.now();
-    updateSurveyState(phoneNumber, state);
+    state.sectionScores = getSectionScores(getSurvey(state.surveyId), state.answers);
+    await updateSurveyState(phoneNumber, state);
 
     console.log(`Survey completed for ${phoneNumber}. Final score: ${state.totalScore}`);
 
+    // The lead is handed to the CRM outbox; a failure there mustn't hold up the respondent
+    await enqueueCrmPush(phoneNumber, getSurvey(state.surveyId), state)
+      .catch(err => console.error(`Failed to queue CRM push for ${phoneNumber}:`, err.message));
+
     // Send completion message and action plan
     await queueMessage(phoneNumber, 'text_message', {
-      text: "Thank you for completing the assessment! Let me calculate your results..."
+      text: survey.messages.completion
     });
 
     await sleep(1000);
-    await sendActionPlan(phoneNumber, state.totalScore);
+    await sendActionPlan(phoneNumber, survey, state);
+
+    return true;
+  }
+}
+
+
+
+/* -------- RESPONDENT COMMANDS -------- */
+// Reserved words a respondent can type at any point of an active survey.
+// They take precedence over answers, including open text questions.
+
+const REPROMPT_COOLDOWN_MS = parseInt(process.env.REPROMPT_COOLDOWN_MS || "30000", 10);
+
+const SURVEY_COMMANDS = {
+  async restart(phoneNumber, state, survey) {
+    await stopRun(phoneNumber, state);
+    const newState = await initializeSurvey(phoneNumber, survey, state.language || DEFAULT_LANGUAGE, { consentAt: state.consentAt, languagePicked: state.languagePicked });
+    // Without consent carried over it is asked for again before any question
+    if (newState.awaitingConsent) {
+      await queueSurveyIntro(phoneNumber, survey, newState);
+      return;
+    }
+    await queueMessage(phoneNumber, 'text_message', { text: t(state.language, 'restarted') });
+    await queueSurveyQuestion(phoneNumber, survey, newState);
+  },
+
+  async back(phoneNumber, state, survey) {
+    const previous = state.answers.pop();
+    if (!previous) {
+      await queueMessage(phoneNumber, 'text_message', { text: t(state.language, 'alreadyFirst') });
+      await queueSurveyQuestion(phoneNumber, survey, state, { selected: state.pendingSelection || [] });
+      return;
+    }
+
+    // Reverse its points and step back onto it
+    state.totalScore -= previous.points || 0;
+    state.currentQuestion = survey.questions.findIndex(q => q.id === previous.questionId);
+    delete state.pendingSelection;
+    await updateSurveyState(phoneNumber, state);
+    await queueSurveyQuestion(phoneNumber, survey, state);
+  },
+
+  async repeat(phoneNumber, state, survey) {
+    await queueSurveyQuestion(phoneNumber, survey, state, { selected: state.pendingSelection || [] });
+  },
+
+  async status(phoneNumber, state, survey) {
+    const progress = getQuestionProgress(survey, state.currentQuestion, state.answers);
+    const question = survey.questions[state.currentQuestion];
+    await queueMessage(phoneNumber, 'text_message', {
+      text: t(state.language, 'status', { title: survey.title, number: progress.number, total: progress.total, section: question.section, answered: state.answers.length })
+    });
+  },
+
+  async end(phoneNumber, state, survey) {
+    await stopRun(phoneNumber, state);
+    await queueMessage(phoneNumber, 'text_message', {
+      text: t(state.language, 'stopped', { trigger: survey.triggers[0] })
+    });
+  },
 
+  async language(phoneNumber, state, survey) {
+    state.awaitingLanguage = true;
+    await updateSurveyState(phoneNumber, state);
+    await queueMessage(phoneNumber, 'language_question', { surveyId: survey.id });
+  }
+};
+
+function parseSurveyCommand(text) {
+  const word = (text || '').toLowerCase().trim();
+  return Object.prototype.hasOwnProperty.call(SURVEY_COMMANDS, word) ? word : null;
+}
+
+async function handleSurveyCommand(phoneNumber, command) {
+  const state = await getSurveyState(phoneNumber);
+  const survey = state && getSurvey(state.surveyId, state.language || DEFAULT_LANGUAGE);
+  if (!state || !state.active || !survey) return false;
+
+  // Until a language is picked there is no question to go back to, repeat or report on
+  if (state.awaitingLanguage && !['restart', 'end'].includes(command)) command = 'language';
+  // Same before consent: anything but these is read as the reply to the consent question
+  if (state.awaitingConsent && !['restart', 'end', 'language'].includes(command)) return false;
+
+  console.log(`Survey command "${command}" from ${phoneNumber}`);
+  if (command !== 'status') {
+    // Any question still waiting to go out is stale now
+    await cancelQueuedMessages(phoneNumber, ['survey_question', 'language_question', 'consent_question', 'survey_nudge']);
+  }
+  await SURVEY_COMMANDS[command](phoneNumber, state, survey);
+  return true;
+}
+
+// Input that is neither an answer nor a command gets a nudge instead of silence,
+// at most once per cooldown so a chatty respondent doesn't trip the rate limits
+async function repromptSurvey(phoneNumber) {
+  const state = await getSurveyState(phoneNumber);
+  if (!state || !state.active) return false;
+
+  if (state.lastRepromptAt && Date.now() - state.lastRepromptAt < REPROMPT_COOLDOWN_MS) {
+    console.log(`Re-prompt for ${phoneNumber} suppressed (cooldown)`);
     return true;
   }
+  state.lastRepromptAt = Date.now();
+  await updateSurveyState(phoneNumber, state);
+
+  await queueMessage(phoneNumber, 'text_message', {
+    text: t(state.language, 'reprompt')
+  });
+  return true;
+}
+
+/* -------- NUDGES & EXPIRY -------- */
+// Respondents who go quiet mid-survey get up to NUDGE_SCHEDULE_MIN.length
+// reminders (minutes of inactivity each one waits for), sent through the normal
+// queue so they obey the rate limits. After ABANDON_AFTER_MIN of inactivity the
+// run is marked abandoned - before the 24h state TTL would silently drop it.
+// Runs still waiting for a language or for consent are left alone: nothing is
+// chased or recorded for someone who hasn't agreed, and the state TTL ends them.
+
+const NUDGE_SCHEDULE_MS = (process.env.NUDGE_SCHEDULE_MIN || "60,360")
+  .split(",").map(v => parseFloat(v)).filter(v => v > 0).map(v => v * 60 * 1000);
+const ABANDON_AFTER_MS = Math.min(
+  parseFloat(process.env.ABANDON_AFTER_MIN || "1380") * 60 * 1000,
+  SURVEY_TTL_MS - 60 * 60 * 1000 // must fire while the state still exists
+);
+const NUDGE_CHECK_INTERVAL_MS = parseInt(process.env.NUDGE_CHECK_INTERVAL_MS || "60000", 10);
+
+let nudgeTickRunning = false;
+
+async function touchSurveyActivity(phoneNumber, state) {
+  state.lastActivityAt = Date.now();
+  await updateSurveyState(phoneNumber, state);
+}
+
+async function abandonSurvey(phoneNumber, state) {
+  state.active = false;
+  state.abandonedAt = Date.now();
+  delete state.pendingSelection;
+  await updateSurveyState(phoneNumber, state);
+  await cancelQueuedMessages(phoneNumber, ['survey_question', 'survey_nudge']);
+  console.log(`Survey ${state.surveyId} for ${phoneNumber} marked abandoned`);
+}
+
+async function sendSurveyNudge(phoneNumber, state, survey) {
+  const progress = getQuestionProgress(survey, state.currentQuestion, state.answers);
+  const text = t(state.language, (state.nudgeCount || 0) === 0 ? 'nudgeFirst' : 'nudgeLast',
+    { title: survey.title, number: progress.number, total: progress.total });
+
+  // Its own type, so stopping or abandoning the survey can drop one still queued
+  await queueMessage(phoneNumber, 'survey_nudge', { text });
+  state.nudgeCount = (state.nudgeCount || 0) + 1;
+  state.lastNudgeAt = Date.now();
+  await updateSurveyState(phoneNumber, state);
+  console.log(`Nudge ${state.nudgeCount}/${NUDGE_SCHEDULE_MS.length} queued for ${phoneNumber}`);
 }
 
+async function runNudgeScheduler() {
+  if (nudgeTickRunning) return;
+  nudgeTickRunning = true;
 
+  try {
+    const now = Date.now();
+    const queued = await getQueuedMessages();
+    const handedOff = await getHandedOffNumbers();
+
+    for (const [phoneNumber, state] of await store.entries('survey')) {
+      // An operator is talking to them: no reminders, and the idle time doesn't count
+      if (!state.active || handedOff.has(phoneNumber)) continue;
+      if (state.awaitingLanguage || state.awaitingConsent) continue;
+      const survey = getSurvey(state.surveyId, state.language || DEFAULT_LANGUAGE);
+      if (!survey) continue;
+
+      const idleMs = now - (state.lastActivityAt || state.startedAt);
+      if (idleMs >= ABANDON_AFTER_MS) {
+        await abandonSurvey(phoneNumber, state);
+        continue;
+      }
+
+      // Nothing to chase while we still owe them a message
+      if (queued.some(m => m.phoneNumber === phoneNumber && m.messageType !== 'campaign_message')) continue;
+
+      const nudgeCount = state.nudgeCount || 0;
+      if (nudgeCount < NUDGE_SCHEDULE_MS.length && idleMs >= NUDGE_SCHEDULE_MS[nudgeCount]) {
+        await sendSurveyNudge(phoneNumber, state, survey);
+      }
+    }
+  } catch (error) {
+    console.error('Nudge scheduler failed:', error.message);
+  } finally {
+    nudgeTickRunning = false;
+  }
+}
+
+setInterval(runNudgeScheduler, NUDGE_CHECK_INTERVAL_MS);
+
+/* -------- CRM PUSH -------- */
+// Completed assessments are pushed to a CRM webhook as signed JSON. Each push
+// is an outbox item in the store and is retried with backoff until the endpoint
+// answers 2xx, so a CRM outage or a redeploy never loses a lead.
+
+const CRM_WEBHOOK_URL = process.env.CRM_WEBHOOK_URL || null;
+const CRM_WEBHOOK_SECRET = process.env.CRM_WEBHOOK_SECRET || null;
+const CRM_TIMEOUT_MS = parseInt(process.env.CRM_TIMEOUT_MS || "10000", 10);
+const CRM_BACKOFF_BASE_MS = parseInt(process.env.CRM_BACKOFF_BASE_MS || "30000", 10);
+const CRM_BACKOFF_MAX_MS = parseInt(process.env.CRM_BACKOFF_MAX_MS || "3600000", 10);
+const CRM_CHECK_INTERVAL_MS = 5000;
+
+let crmTickRunning = false;
+
+async function enqueueCrmPush(phoneNumber, survey, state) {
+  if (!CRM_WEBHOOK_URL) return null;
+  const tierId = getTierFromScore(survey, state.totalScore);
+  if (!shouldPushToCrm(survey, tierId)) return null;
+
+  // The body is frozen at completion so every retry sends identical bytes
+  const item = {
+    id: state.responseId,
+    phone: phoneNumber,
+    surveyId: survey.id,
+    body: JSON.stringify({
+      event: "survey.completed",
+      id: state.responseId,
+      surveyId: survey.id,
+      occurredAt: new Date(state.completedAt).toISOString(),
+      data: buildCrmRecord({ ...state, phone: phoneNumber }, survey)
+    }),
+    createdAt: Date.now(),
+    nextAttemptAt: Date.now(),
+    attempts: 0,
+    lastError: null
+  };
+  await store.set('crm-outbox', item.id, item);
+  console.log(`CRM push queued for ${phoneNumber} (response ${item.id}, tier ${tierId})`);
+  return item;
+}
+
+// Same scheme as inbound webhooks: hex HMAC-SHA256 over "<timestamp>.<body>"
+function signedWebhookHeaders(secret, body) {
+  if (!secret) return {};
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  return {
+    "X-Webhook-Timestamp": timestamp,
+    "X-Webhook-Signature": "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")
+  };
+}
+
+function crmHeaders(item) {
+  return {
+    "Content-Type": "application/json",
+    "X-Event": "survey.completed",
+    "X-Idempotency-Key": item.id,
+    ...signedWebhookHeaders(CRM_WEBHOOK_SECRET, item.body)
+  };
+}
+
+async function pushCrmItem(item) {
+  try {
+    // axios rejects anything outside 2xx, which is exactly our success test
+    await axios.post(CRM_WEBHOOK_URL, item.body, { headers: crmHeaders(item), timeout: CRM_TIMEOUT_MS });
+    await store.delete('crm-outbox', item.id);
+    console.log(`CRM push delivered for response ${item.id} after ${item.attempts + 1} attempt(s)`);
+    return true;
+  } catch (err) {
+    item.attempts++;
+    const delay = Math.min(CRM_BACKOFF_MAX_MS, CRM_BACKOFF_BASE_MS * Math.pow(2, item.attempts - 1));
+    item.nextAttemptAt = Date.now() + delay;
+    item.lastError = { message: err.message, status: err.response?.status || null, at: Date.now() };
+    logAxiosError(`crm push ${item.id}`, err);
+    await store.set('crm-outbox', item.id, item);
+    console.warn(`CRM push for response ${item.id} failed (attempt ${item.attempts}), retrying in ${Math.round(delay / 1000)}s:`, err.message);
+    return false;
+  }
+}
+
+async function processCrmOutbox() {
+  if (crmTickRunning || !CRM_WEBHOOK_URL) return;
+  crmTickRunning = true;
+  try {
+    const now = Date.now();
+    const due = (await store.entries('crm-outbox')).map(([, item]) => item)
+      .filter(item => item.nextAttemptAt <= now)
+      .sort((a, b) => a.createdAt - b.createdAt);
+    for (const item of due) await pushCrmItem(item);
+  } catch (error) {
+    console.error('CRM outbox processing failed:', error.message);
+  } finally {
+    crmTickRunning = false;
+  }
+}
+
+setInterval(processCrmOutbox, CRM_CHECK_INTERVAL_MS);
+
+/* -------- OPERATOR HANDOFF -------- */
+// A handoff keyword at any time (and, with HANDOFF_ON_UNRECOGNISED, anything
+// outside a survey from someone who has completed one) opens a handoff: the message
+// lands in the operator inbox (/admin/handoffs), HANDOFF_WEBHOOK_URL is told, and
+// nothing automated goes to that number - queued items wait, nudges stop - until
+// an operator releases it, or it has been quiet for HANDOFF_RELEASE_AFTER_HOURS.
+// Operators answer through sendTextOnce.
+
+const HANDOFF_ON_UNRECOGNISED = process.env.HANDOFF_ON_UNRECOGNISED === "true";
+const HANDOFF_WEBHOOK_URL = process.env.HANDOFF_WEBHOOK_URL || null;
+const HANDOFF_WEBHOOK_SECRET = process.env.HANDOFF_WEBHOOK_SECRET || null;
+const HANDOFF_TIMEOUT_MS = parseInt(process.env.HANDOFF_TIMEOUT_MS || "10000", 10);
+const HANDOFF_MAX_MESSAGES = 200;
+const HANDOFF_RELEASE_AFTER_MS = parseFloat(process.env.HANDOFF_RELEASE_AFTER_HOURS || "24") * 60 * 60 * 1000; // 0 = never
+const HANDOFF_CHECK_INTERVAL_MS = 60000;
+
+// The whole message has to be the keyword, so a survey answer that merely
+// mentions "agent" is still an answer
+function isHandoffKeyword(text) {
+  const normalized = String(text || "").toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, " ").replace(/\s+/g, " ").trim();
+  return !!normalized && HANDOFF_KEYWORDS.includes(normalized);
+}
+
+async function getHandedOffNumbers() {
+  return new Set((await store.entries('handoffs')).map(([phone]) => phone));
+}
+
+async function getHandoff(phoneNumber) {
+  return store.get('handoffs', normalizePhone(phoneNumber));
+}
+
+// Latest survey result, so the operator knows who they're talking to
+async function getLatestResult(phoneNumber) {
+  const latest = (await getAllSurveyRuns())
+    .filter(run => run.phone === phoneNumber)
+    .sort((a, b) => b.startedAt - a.startedAt)[0];
+  if (!latest) return null;
+  const survey = getSurvey(latest.surveyId);
+  const record = buildResponseRecord(latest, survey);
+  return { surveyId: record.surveyId, status: record.status, totalScore: record.totalScore, maxScore: record.maxScore, tier: record.tier, completedAt: record.completedAt };
+}
+
+// Best effort: the inbox is the record, the webhook only tells someone to look
+async function notifyHandoff(event, handoff, text) {
+  if (!HANDOFF_WEBHOOK_URL) return;
+  const body = JSON.stringify({
+    event,
+    phone: handoff.phone,
+    reason: handoff.reason,
+    text,
+    openedAt: new Date(handoff.openedAt).toISOString(),
+    occurredAt: new Date().toISOString(),
+    lastResult: handoff.lastResult
+  });
+  try {
+    await axios.post(HANDOFF_WEBHOOK_URL, body, {
+      headers: { "Content-Type": "application/json", "X-Event": event, ...signedWebhookHeaders(HANDOFF_WEBHOOK_SECRET, body) },
+      timeout: HANDOFF_TIMEOUT_MS
+    });
+  } catch (err) {
+    logAxiosError(`handoff notify ${event} ${handoff.phone}`, err);
+  }
+}
+
+function addHandoffMessage(handoff, message) {
+  handoff.messages = [...(handoff.messages || []), { at: Date.now(), ...message }].slice(-HANDOFF_MAX_MESSAGES);
+  handoff.lastMessageAt = Date.now();
+}
+
+// openedBy: 'respondent' (their message) or 'operator' (taken over from the admin API)
+async function openHandoff(phoneNumber, { reason, text = null, openedBy = 'respondent' }) {
+  const phone = normalizePhone(phoneNumber);
+  const existing = await store.get('handoffs', phone);
+  if (existing) return existing;
+
+  const handoff = {
+    phone,
+    reason,
+    openedBy,
+    openedAt: Date.now(),
+    lastMessageAt: Date.now(),
+    unread: 0,
+    lastResult: await getLatestResult(phone),
+    messages: []
+  };
+  if (text) {
+    addHandoffMessage(handoff, { dir: 'in', text });
+    handoff.unread = 1;
+  }
+  await store.set('handoffs', phone, handoff);
+  console.log(`Handoff opened for ${phone} (${reason}, by ${openedBy})`);
+
+  if (openedBy === 'respondent') {
+    await queueMessage(phone, 'text_message', { text: t(await getUserLanguage(phone), 'handoffOpened'), duringHandoff: true });
+  }
+  await notifyHandoff('handoff.opened', handoff, text);
+  return handoff;
+}
+
+async function recordHandoffInbound(handoff, text) {
+  addHandoffMessage(handoff, { dir: 'in', text });
+  handoff.unread = (handoff.unread || 0) + 1;
+  await store.set('handoffs', handoff.phone, handoff);
+  await notifyHandoff('handoff.message', handoff, text);
+}
+
+// Sent straight away (the queue is paused for them), still within the rate limits
+async function sendOperatorReply(handoff, text, operator) {
+  if (await isOptedOut(handoff.phone)) {
+    throw Object.assign(new Error("this number has opted out of messages"), { status: 409 });
+  }
+  const limit = checkRateLimit(handoff.phone);
+  if (!limit.ok) {
+    throw Object.assign(new Error(`rate limit (${limit.limit}), retry in ${Math.ceil(limit.retryInMs / 1000)}s`), { status: 429 });
+  }
+
+  try {
+    await sendTextOnce(handoff.phone, text, 15000, { bypassSentCache: true });
+  } catch (err) {
+    logAxiosError(`operator reply ${handoff.phone}`, err);
+    throw Object.assign(new Error(`send failed: ${err.message}`), { status: 502 });
+  }
+
+  addHandoffMessage(handoff, { dir: 'out', text, operator });
+  handoff.unread = 0;
+  await store.set('handoffs', handoff.phone, handoff);
+  await appendTranscript(handoff.phone, { dir: 'out', type: 'operator', text })
+    .catch(err => console.error(`Failed to record transcript for ${handoff.phone}:`, err.message));
+}
+
+// Automation resumes: held messages go out with fresh gaps, and a survey in
+// progress gets its inactivity clock restarted
+async function releaseHandoff(handoff, operator) {
+  await store.delete('handoffs', handoff.phone);
+
+  let executeAt = Date.now();
+  const held = (await getQueuedMessages()).filter(m => m.phoneNumber === handoff.phone && !m.data?.duringHandoff);
+  for (const msg of held) {
+    executeAt = Math.max(executeAt, msg.executeAt) + getRandomDelay();
+    msg.executeAt = executeAt;
+    await store.set('queue', msg.id, msg);
+  }
+
+  const state = await getSurveyState(handoff.phone);
+  if (state?.active) await touchSurveyActivity(handoff.phone, state);
+
+  console.log(`Handoff for ${handoff.phone} released by ${operator || 'operator'} (${held.length} held message(s) rescheduled)`);
+  return held.length;
+}
+
+// Hands back conversations with no message either way for HANDOFF_RELEASE_AFTER_HOURS,
+// so a number isn't paused for good when nobody picks it up
+async function releaseIdleHandoffs() {
+  if (!HANDOFF_RELEASE_AFTER_MS) return;
+  const now = Date.now();
+  for (const [, handoff] of await store.entries('handoffs')) {
+    if (now - handoff.lastMessageAt >= HANDOFF_RELEASE_AFTER_MS) await releaseHandoff(handoff, 'auto-release');
+  }
+}
+
+setInterval(() => {
+  releaseIdleHandoffs().catch(err => console.error("Handoff auto-release failed:", err.message));
+}, HANDOFF_CHECK_INTERVAL_MS);
+
+function handoffSummary(handoff) {
+  const { messages, ...summary } = handoff;
+  return { ...summary, lastMessage: messages[messages.length - 1] || null };
+}
+
+/* -------- CAMPAIGNS -------- */
+// Admin-created messages to a segment of past respondents (campaigns.js picks
+// them). Each recipient is one queue item, staggered by getRandomDelay after the
+// previous one, so a campaign trickles out under the same anti-ban limits as
+// everything else. Opted-out numbers, anyone mid-survey and anyone with an
+// operator are skipped; every recipient's outcome is kept for the report.
+
+async function isOptedOut(phoneNumber) {
+  return !!(await store.get('optouts', normalizePhone(phoneNumber)));
+}
+
+// Puts a number on the suppression list: whatever is queued for it is dropped and
+// a survey in progress ends as stopped. source: 'respondent' (STOP/unsubscribe) or 'admin'
+async function optOut(phoneNumber, source) {
+  const phone = normalizePhone(phoneNumber);
+  if (await store.get('optouts', phone)) return false;
+  await store.set('optouts', phone, { phone, at: Date.now(), source });
+
+  const cancelled = (await getQueuedMessages()).filter(m => m.phoneNumber === phone && !processingQueue.has(m.id));
+  for (const msg of cancelled) {
+    await store.delete('queue', msg.id);
+    if (msg.messageType === 'campaign_message') await recordCampaignResult(msg, { resp: { skipped: true, reason: 'opted-out' } });
+  }
+
+  const state = await getSurveyState(phone);
+  if (state?.active) {
+    state.active = false;
+    state.stoppedAt = Date.now();
+    delete state.pendingSelection;
+    await updateSurveyState(phone, state);
+  }
+  console.log(`${phone} opted out (${source}), ${cancelled.length} queued message(s) dropped`);
+  return true;
+}
+
+async function optIn(phoneNumber) {
+  const phone = normalizePhone(phoneNumber);
+  if (!(await store.get('optouts', phone))) return false;
+  await store.delete('optouts', phone);
+  console.log(`${phone} opted back in`);
+  return true;
+}
+
+function campaignRecipientKey(campaignId, phone) {
+  return `${campaignId}:${phone}`;
+}
+
+async function recordCampaignResult(msg, { resp = null, error = null }) {
+  const key = campaignRecipientKey(msg.data.campaignId, msg.phoneNumber);
+  const recipient = await store.get('campaign-recipients', key);
+  if (!recipient) return;
+  if (error) {
+    Object.assign(recipient, { status: 'failed', error: error.message, attempts: msg.attempts });
+  } else if (resp?.skipped) {
+    Object.assign(recipient, { status: 'skipped', reason: resp.reason || 'duplicate' });
+  } else {
+    Object.assign(recipient, { status: 'sent', sentAt: Date.now(), messageId: extractSentMessageId(resp), attempts: msg.attempts + 1 });
+  }
+  await store.set('campaign-recipients', key, recipient);
+}
+
+// Who a campaign would reach and who it skips (and why), without queueing anything
+async function resolveCampaignRecipients(segment, message) {
+  const runs = await getAllSurveyRuns();
+  const matched = selectSegment(runs, segment, {
+    tierOf: run => {
+      const survey = getSurvey(run.surveyId);
+      return survey && run.completedAt ? getTierFromScore(survey, run.totalScore) : null;
+    }
+  });
+  const handedOff = await getHandedOffNumbers();
+
+  const recipients = [];
+  for (const run of matched) {
+    const phone = run.phone;
+    const { text, language } = campaignText(message, run.language || DEFAULT_LANGUAGE, DEFAULT_LANGUAGE);
+    let reason = null;
+    if (await isOptedOut(phone)) reason = 'opted-out';
+    else if ((await getSurveyState(phone))?.active) reason = 'in-survey';
+    else if (handedOff.has(phone)) reason = 'with-operator';
+    recipients.push({ phone, language, text: `${text}\n\n_${t(language, 'campaignFooter')}_`, skipReason: reason });
+  }
+  return recipients;
+}
+
+async function createCampaign({ name, segment = {}, message }) {
+  const campaign = {
+    id: crypto.randomUUID(),
+    name: name.trim(),
+    segment,
+    message,
+    createdAt: Date.now(),
+    status: 'scheduled'
+  };
+  const recipients = await resolveCampaignRecipients(segment, message);
+  await store.set('campaigns', campaign.id, campaign);
+
+  // Each recipient a random gap after the previous one. Items go straight into the
+  // queue: the recipients were just checked, and queueMessage would scan the whole
+  // queue for every one of them
+  let executeAt = Date.now();
+  for (const r of recipients) {
+    const recipient = { campaignId: campaign.id, phone: r.phone, language: r.language, status: 'skipped', reason: r.skipReason };
+    if (!r.skipReason) {
+      executeAt += getRandomDelay();
+      const item = newQueueItem(r.phone, 'campaign_message', { campaignId: campaign.id, text: r.text }, executeAt);
+      await store.set('queue', item.id, item);
+      Object.assign(recipient, { status: 'queued', reason: null, queueItemId: item.id, scheduledAt: executeAt });
+    }
+    await store.set('campaign-recipients', campaignRecipientKey(campaign.id, r.phone), recipient);
+  }
+  console.log(`Campaign ${campaign.id} "${campaign.name}": ${recipients.filter(r => !r.skipReason).length} queued, ${recipients.filter(r => r.skipReason).length} skipped`);
+  return campaign;
+}
+
+async function getCampaignRecipients(campaignId) {
+  return (await store.entries('campaign-recipients'))
+    .filter(([key]) => key.startsWith(`${campaignId}:`))
+    .map(([, recipient]) => recipient);
+}
+
+// Meta plus counts; 'done' once nothing is left in the queue
+async function getCampaignReport(campaign, { withRecipients = false } = {}) {
+  const recipients = await getCampaignRecipients(campaign.id);
+  for (const r of recipients) {
+    // Delivery receipts arrive on the delivery record, not here
+    if (r.messageId) r.delivery = (await store.get('deliveries', r.messageId))?.status || null;
+  }
+  const counts = { total: recipients.length, queued: 0, sent: 0, skipped: 0, failed: 0, cancelled: 0, delivered: 0, read: 0 };
+  for (const r of recipients) {
+    counts[r.status] = (counts[r.status] || 0) + 1;
+    if (r.delivery && (DELIVERY_STATUS_RANK[r.delivery] ?? -1) >= DELIVERY_STATUS_RANK.delivered) counts.delivered++;
+    if (r.delivery && (DELIVERY_STATUS_RANK[r.delivery] ?? -1) >= DELIVERY_STATUS_RANK.read) counts.read++;
+  }
+  const status = campaign.status === 'cancelled' ? 'cancelled' : counts.queued ? 'sending' : 'done';
+  return {
+    ...campaign,
+    status,
+    counts,
+    ...(withRecipients ? { recipients: recipients.sort((a, b) => (a.scheduledAt || 0) - (b.scheduledAt || 0)) } : {})
+  };
+}
+
+async function cancelCampaign(campaign) {
+  campaign.status = 'cancelled';
+  campaign.cancelledAt = Date.now();
+  await store.set('campaigns', campaign.id, campaign);
+
+  const pending = (await getQueuedMessages())
+    .filter(m => m.messageType === 'campaign_message' && m.data.campaignId === campaign.id && !processingQueue.has(m.id));
+  for (const msg of pending) {
+    await store.delete('queue', msg.id);
+    const key = campaignRecipientKey(campaign.id, msg.phoneNumber);
+    const recipient = await store.get('campaign-recipients', key);
+    if (recipient) await store.set('campaign-recipients', key, { ...recipient, status: 'cancelled' });
+  }
+  console.log(`Campaign ${campaign.id} cancelled (${pending.length} queued message(s) removed)`);
+  return pending.length;
+}
+
+/* -------- DATA ERASURE -------- */
+// "delete my data" from the respondent, or DELETE /admin/respondents/:phone.
+// Everything stored against the number goes: survey state, user record
+// (interactions, language, consent), transcript, handoff, queued and dead-lettered
+// messages, responses (so exports and analytics), CRM pushes not yet delivered,
+// delivery records and campaign results, plus what the process holds in memory.
+// The suppression entry stays, so an opt-out keeps being honoured. The store is
+// compacted afterwards so the file journal doesn't keep the deleted values.
+// A send already under way when the data goes isn't recorded once it finishes.
+
+const ERASED_MEMORY_MS = 10 * 60 * 1000;
+const erasedNumbers = new LRU({ max: 10000, ttl: ERASED_MEMORY_MS }); // phone -> erased at
+
+function erasedSince(phoneNumber, since) {
+  return (erasedNumbers.get(normalizePhone(phoneNumber)) || 0) >= since;
+}
+
+function forgetRespondentInMemory(phone) {
+  for (const key of [...outboundMessageCache.keys()]) {
+    if (key.startsWith(`out:${phone}:`)) outboundMessageCache.delete(key);
+  }
+  for (let i = recentErrors.length - 1; i >= 0; i--) {
+    if (JSON.stringify(recentErrors[i]).includes(phone)) recentErrors.splice(i, 1);
+  }
+}
+
+async function eraseRespondentData(phoneNumber) {
+  const phone = normalizePhone(phoneNumber);
+  const deleted = {};
+  erasedNumbers.set(phone, Date.now());
+
+  const transcriptMessages = await deleteTranscript(phone);
+  if (transcriptMessages) deleted.transcripts = transcriptMessages;
+
+  for (const ns of ['survey', 'question-sent', 'users', 'handoffs']) {
+    if ((await store.get(ns, phone)) === undefined) continue;
+    await store.delete(ns, phone);
+    deleted[ns] = 1;
+  }
+
+  const byNumber = {
+    queue: item => item.phoneNumber === phone,
+    deadletter: item => item.phoneNumber === phone,
+    responses: run => run.phone === phone,
+    'crm-outbox': item => item.phone === phone,
+    deliveries: record => record.phone === phone,
+    'campaign-recipients': recipient => recipient.phone === phone
+  };
+  for (const [ns, matches] of Object.entries(byNumber)) {
+    const keys = (await store.entries(ns)).filter(([, value]) => matches(value)).map(([key]) => key);
+    for (const key of keys) await store.delete(ns, key);
+    if (keys.length) deleted[ns] = keys.length;
+  }
+
+  forgetRespondentInMemory(phone);
+  await store.compact();
+
+  console.log(`Data erased for ${phone}:`, JSON.stringify(deleted));
+  return deleted;
+}
 
 /* extract helpers */
+
+// Button and list replies arrive in a few shapes; Whapi may also prefix the id
+// with the message kind (e.g. "ListV3:q4_c"), which is stripped here
+function extractReplyId(m) {
+  const id = m?.interactive?.button_reply?.id || m?.button_reply?.id ||
+    m?.interactive?.list_reply?.id || m?.list_reply?.id ||
+    m?.reply?.buttons_reply?.id || m?.reply?.list_reply?.id || null;
+  return id ? String(id).replace(/^[A-Za-z]+V\d+:/, "") : null;
+}
+
+function toIncomingMessage(m) {
+  return {
+    kind: "message",
+    messageId: m.id || m.msg_id || m.message_id || null,
+    from: m.from || m.sender || m.chat_id || null,
+    from_me: !!m.from_me,
+    text: m?.text?.body || m?.body || null,
+    buttonResponse: extractReplyId(m),
+    buttonTitle: m?.interactive?.button_reply?.title || m?.button_reply?.title ||
+      m?.interactive?.list_reply?.title || m?.list_reply?.title ||
+      m?.reply?.buttons_reply?.title || m?.reply?.list_reply?.title || null,
+    timestamp: Number(m.timestamp) || 0,
+    raw: m
+  };
+}
+
+// Whapi may batch several messages and statuses into one webhook. Statuses come
+// first (they only touch delivery records); messages are ordered by their own
+// timestamp so two quick taps are applied in the order the respondent made them.
 function extractCommon(body) {
-  if (!body) return { kind: "unknown", raw: body };
-  if (Array.isArray(body.statuses) && body.statuses.length > 0) return { kind: "status", statuses: body.statuses, raw: body };
-  if (Array.isArray(body.messages) && body.messages.length > 0) {
-    const m = body.messages[0];
-    return {
-      kind: "message",
-      messageId: m.id || m.msg_id || m.message_id || null,
-      from: m.from || m.sender || m.chat_id || null,
-      from_me: !!m.from_me,
-      text: m?.text?.body || m?.body || null,
-      buttonResponse: m?.interactive?.button_reply?.id || m?.button_reply?.id || null,
-      raw: m
-    };
-  }
-  if (body.message) {
-    const m = body.message;
-    return {
-      kind: "message",
-      messageId: m.id || null,
-      from: m.from || m.sender || null,
-      from_me: !!m.from_me,
-      text: m?.text?.body || m?.body || null,
-      buttonResponse: m?.interactive?.button_reply?.id || m?.button_reply?.id || null,
-      raw: m
-    };
+  if (!body) return [];
+  const items = [];
+  if (Array.isArray(body.statuses)) {
+    for (const event of body.statuses) items.push({ kind: "status", event, id: event?.id || null });
   }
-  return { kind: "unknown", raw: body };
+  const messages = Array.isArray(body.messages) ? body.messages : (body.message ? [body.message] : []);
+  const incoming = messages.filter(m => m && typeof m === "object").map(toIncomingMessage);
+  // Array.prototype.sort is stable, so untimestamped messages keep payload order
+  if (incoming.every(m => m.timestamp)) incoming.sort((a, b) => a.timestamp - b.timestamp);
+  return items.concat(incoming);
 }
 
 
 
 /* -------- ADMIN endpoints -------- */
-app.get("/admin/survey-stats", (req, res) => {
-  if (ADMIN_KEY) {
-    const key = req.headers["x-admin-key"];
-    if (!key || key !== ADMIN_KEY) return res.status(401).json({ ok: false, error: "invalid admin key" });
+// x-admin-key header, or Basic auth with the key as password (any user name) so
+// a browser can open /admin/ui. Without ADMIN_KEY the admin routes are closed:
+// they expose transcripts and can message respondents or erase their data.
+function requireAdmin(req, res, next) {
+  if (!ADMIN_KEY) return res.status(503).json({ ok: false, error: "admin routes are disabled until ADMIN_KEY is set" });
+  const basic = /^Basic\s+(.+)$/i.exec(req.headers.authorization || "");
+  const basicPassword = basic ? Buffer.from(basic[1], "base64").toString("utf8").split(":").slice(1).join(":") : null;
+  const key = req.headers["x-admin-key"] || basicPassword;
+  if (!key || !safeEqual(key, ADMIN_KEY)) {
+    res.set("WWW-Authenticate", 'Basic realm="survey admin", charset="UTF-8"');
+    return res.status(401).json({ ok: false, error: "invalid admin key" });
   }
+  next();
+}
+
+// Express 4 doesn't see a rejected promise from an async handler - hand it to next()
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
 
-  // Collect survey statistics
+app.get("/admin/survey-stats", requireAdmin, asyncRoute(async (req, res) => {
+  // Collect survey statistics, broken down per survey
   let activeCount = 0;
   let completedCount = 0;
-  const tierCounts = { tier1: 0, tier2: 0, tier3: 0 };
+  const perSurvey = {};
+  for (const survey of SURVEYS.values()) {
+    perSurvey[survey.id] = {
+      title: survey.title,
+      version: survey.version,
+      triggers: survey.triggers,
+      maxScore: survey.maxScore,
+      tierRanges: Object.fromEntries(survey.tiers.map(t => [t.id, [t.minScore, t.maxScore]])),
+      activeSurveys: 0,
+      completedSurveys: 0,
+      stoppedSurveys: 0,
+      abandonedSurveys: 0,
+      tierDistribution: Object.fromEntries(survey.tiers.map(t => [t.id, 0])),
+      byVersion: {},
+      questionDelivery: {}
+    };
+  }
+
+  const deliveryStats = await getQuestionDeliveryStats();
+  for (const [surveyId, byQuestion] of Object.entries(deliveryStats)) {
+    if (perSurvey[surveyId]) perSurvey[surveyId].questionDelivery = byQuestion;
+  }
+
+  // Every run is kept in 'responses'
+  const states = await store.entries('responses');
+  states.forEach(([key, state]) => {
+    const survey = getSurvey(state.surveyId);
+    const stats = survey && perSurvey[survey.id];
+    if (!stats) return;
+    const version = state.surveyVersion;
+    const versionStats = stats.byVersion[version] || (stats.byVersion[version] = { activeSurveys: 0, completedSurveys: 0 });
 
-  surveyStateCache.forEach((state, key) => {
     if (state.active) {
       activeCount++;
+      stats.activeSurveys++;
+      versionStats.activeSurveys++;
     } else if (state.completedAt) {
       completedCount++;
-      const tier = getTierFromScore(state.totalScore);
-      tierCounts[tier]++;
+      stats.completedSurveys++;
+      versionStats.completedSurveys++;
+      const tier = getTierFromScore(survey, state.totalScore);
+      stats.tierDistribution[tier]++;
+    } else if (state.stoppedAt) {
+      stats.stoppedSurveys++;
+    } else if (state.abandonedAt) {
+      stats.abandonedSurveys++;
     }
   });
 
@@ -782,121 +2616,669 @@ app.get("/admin/survey-stats", (req, res) => {
     ok: true,
     activeSurveys: activeCount,
     completedSurveys: completedCount,
-    tierDistribution: tierCounts,
-    queueDepth: messageQueue.length
+    surveys: perSurvey,
+    queueDepth: (await store.entries('queue')).length,
+    deadLetterCount: (await store.entries('deadletter')).length,
+    storeBackend: store.kind
   });
+}));
+
+/* Operator inbox */
+app.get("/admin/handoffs", requireAdmin, asyncRoute(async (req, res) => {
+  const handoffs = (await store.entries('handoffs')).map(([, handoff]) => handoffSummary(handoff))
+    .sort((a, b) => b.lastMessageAt - a.lastMessageAt);
+  return res.json({ ok: true, count: handoffs.length, handoffs });
+}));
+
+app.get("/admin/handoffs/:phone", requireAdmin, asyncRoute(async (req, res) => {
+  const handoff = await getHandoff(req.params.phone);
+  if (!handoff) return res.status(404).json({ ok: false, error: "no open handoff for this number" });
+  return res.json({ ok: true, handoff });
+}));
+
+// Take a conversation over without waiting for the respondent to ask - only
+// with someone who has messaged the bot (and so has a user record)
+app.post("/admin/handoffs/:phone", requireAdmin, asyncRoute(async (req, res) => {
+  const phone = normalizePhone(req.params.phone);
+  if (!phone) return res.status(400).json({ ok: false, error: "invalid phone number" });
+  if (!(await hasUserBeenContacted(phone))) return res.status(404).json({ ok: false, error: "this number hasn't messaged the bot" });
+  const handoff = await openHandoff(phone, { reason: req.body?.reason || 'operator', openedBy: 'operator' });
+  return res.json({ ok: true, handoff: handoffSummary(handoff) });
+}));
+
+// body: { text, operator? }
+app.post("/admin/handoffs/:phone/reply", requireAdmin, asyncRoute(async (req, res) => {
+  const text = typeof req.body?.text === "string" ? req.body.text.trim() : "";
+  if (!text) return res.status(400).json({ ok: false, error: "text is required" });
+  const handoff = await getHandoff(req.params.phone);
+  if (!handoff) return res.status(404).json({ ok: false, error: "no open handoff for this number" });
+  try {
+    await sendOperatorReply(handoff, text, req.body.operator || null);
+    return res.json({ ok: true, handoff: handoffSummary(handoff) });
+  } catch (err) {
+    return res.status(err.status || 500).json({ ok: false, error: err.message });
+  }
+}));
+
+app.post("/admin/handoffs/:phone/release", requireAdmin, asyncRoute(async (req, res) => {
+  const handoff = await getHandoff(req.params.phone);
+  if (!handoff) return res.status(404).json({ ok: false, error: "no open handoff for this number" });
+  const rescheduled = await releaseHandoff(handoff, req.body?.operator || null);
+  return res.json({ ok: true, phone: handoff.phone, rescheduled });
+}));
+
+/* Campaigns: body { name, segment, message, dryRun } - see campaigns.js */
+app.post("/admin/campaigns", requireAdmin, asyncRoute(async (req, res) => {
+  const problems = validateCampaign(req.body, SURVEYS, DEFAULT_LANGUAGE);
+  if (problems.length) return res.status(400).json({ ok: false, errors: problems });
+
+  const { name, segment, message, dryRun } = req.body;
+  if (dryRun) {
+    const recipients = await resolveCampaignRecipients(segment || {}, message);
+    return res.json({
+      ok: true,
+      dryRun: true,
+      wouldSend: recipients.filter(r => !r.skipReason).length,
+      recipients: recipients.map(({ phone, language, text, skipReason }) => ({ phone, language, skipReason, text }))
+    });
+  }
+
+  const campaign = await createCampaign({ name, segment, message });
+  return res.status(201).json({ ok: true, campaign: await getCampaignReport(campaign) });
+}));
+
+app.get("/admin/campaigns", requireAdmin, asyncRoute(async (req, res) => {
+  const campaigns = (await store.entries('campaigns')).map(([, campaign]) => campaign)
+    .sort((a, b) => b.createdAt - a.createdAt);
+  const reports = [];
+  for (const campaign of campaigns) reports.push(await getCampaignReport(campaign));
+  return res.json({ ok: true, campaigns: reports });
+}));
+
+// Per-recipient results: queued/sent/skipped (with reason)/failed/cancelled, plus delivery status
+app.get("/admin/campaigns/:id", requireAdmin, asyncRoute(async (req, res) => {
+  const campaign = await store.get('campaigns', req.params.id);
+  if (!campaign) return res.status(404).json({ ok: false, error: "campaign not found" });
+  return res.json({ ok: true, campaign: await getCampaignReport(campaign, { withRecipients: true }) });
+}));
+
+app.post("/admin/campaigns/:id/cancel", requireAdmin, asyncRoute(async (req, res) => {
+  const campaign = await store.get('campaigns', req.params.id);
+  if (!campaign) return res.status(404).json({ ok: false, error: "campaign not found" });
+  const removed = await cancelCampaign(campaign);
+  return res.json({ ok: true, removed });
+}));
+
+app.get("/admin/optouts", requireAdmin, asyncRoute(async (req, res) => {
+  const optouts = (await store.entries('optouts')).map(([, entry]) => entry).sort((a, b) => b.at - a.at);
+  return res.json({ ok: true, count: optouts.length, optouts });
+}));
+
+app.post("/admin/optouts/:phone", requireAdmin, asyncRoute(async (req, res) => {
+  const phone = normalizePhone(req.params.phone);
+  if (!phone) return res.status(400).json({ ok: false, error: "invalid phone number" });
+  const added = await optOut(phone, 'admin');
+  return res.json({ ok: true, phone, added });
+}));
+
+// Only for a number that asked to be opted back in
+app.delete("/admin/optouts/:phone", requireAdmin, asyncRoute(async (req, res) => {
+  const phone = normalizePhone(req.params.phone);
+  if (!phone || !(await store.get('optouts', phone))) return res.status(404).json({ ok: false, error: "number is not opted out" });
+  await store.delete('optouts', phone);
+  return res.json({ ok: true, phone });
+}));
+
+// Erase everything stored for a number (see DATA ERASURE); nothing is sent to them
+app.delete("/admin/respondents/:phone", requireAdmin, asyncRoute(async (req, res) => {
+  const phone = normalizePhone(req.params.phone);
+  if (!phone) return res.status(400).json({ ok: false, error: "invalid phone number" });
+  const deleted = await eraseRespondentData(phone);
+  return res.json({ ok: true, phone, deleted });
+}));
+
+/* -------- ADMIN DASHBOARD -------- */
+// Server-rendered pages (admin-ui.js) over the same store the JSON endpoints read
+const DASHBOARD_HISTORY_DAYS = 30;
+
+// Every run (see /admin/survey-stats)
+async function getAllSurveyRuns() {
+  return (await store.entries('responses')).map(([, run]) => run);
+}
+
+function buildFunnel(survey, runs) {
+  const { started, completed, questions } = buildQuestionAnalytics(survey, runs);
+  const rows = questions.map(q => ({ text: q.text, answered: q.answered, waiting: q.waiting, dropped: q.droppedOff, medianSeconds: q.medianSecondsToAnswer }));
+  return { surveyId: survey.id, title: survey.title, started, completed, rows };
+}
+
+function buildTierHistory(survey, runs, days, now) {
+  const dayKeys = Array.from({ length: days }, (_, i) => new Date(now - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+  const counts = new Map(dayKeys.map(d => [d, {}]));
+  for (const run of runs) {
+    if (!run.completedAt) continue;
+    const day = counts.get(new Date(run.completedAt).toISOString().slice(0, 10));
+    if (!day) continue;
+    const tierId = getTierFromScore(survey, run.totalScore);
+    day[tierId] = (day[tierId] || 0) + 1;
+  }
+  return {
+    surveyId: survey.id,
+    title: survey.title,
+    tiers: survey.tiers.map(t => ({ id: t.id, label: t.label })),
+    days: dayKeys.map(day => ({ day, counts: counts.get(day) })).filter(d => Object.keys(d.counts).length)
+  };
+}
+
+async function collectDashboardData() {
+  const now = Date.now();
+  const runs = await getAllSurveyRuns();
+  const runsBySurvey = new Map([...SURVEYS.keys()].map(id => [id, []]));
+  runs.forEach(run => runsBySurvey.get(run.surveyId)?.push(run));
+
+  const active = (await store.entries('survey'))
+    .filter(([, state]) => state.active)
+    .map(([phone, state]) => {
+      const survey = getSurvey(state.surveyId);
+      const question = survey?.questions[state.currentQuestion];
+      return {
+        phone,
+        surveyTitle: survey?.title || state.surveyId,
+        language: state.language || DEFAULT_LANGUAGE,
+        awaitingLanguage: !!state.awaitingLanguage,
+        awaitingConsent: !!state.awaitingConsent,
+        questionNumber: state.currentQuestion + 1,
+        totalQuestions: survey?.questions.length || 0,
+        questionText: question?.text || '',
+        answered: (state.answers || []).length,
+        lastActivityAt: state.lastActivityAt || state.startedAt
+      };
+    })
+    .sort((a, b) => b.lastActivityAt - a.lastActivityAt);
+
+  const pending = await getQueuedMessages();
+  const byType = {};
+  pending.forEach(m => { byType[m.messageType] = (byType[m.messageType] || 0) + 1; });
+  const bySchedule = [...pending].sort((a, b) => a.executeAt - b.executeAt);
+
+  return {
+    now,
+    totals: { active: active.length, completed: runs.filter(r => r.completedAt).length },
+    active,
+    funnels: [...SURVEYS.values()].map(survey => buildFunnel(survey, runsBySurvey.get(survey.id))),
+    historyDays: DASHBOARD_HISTORY_DAYS,
+    tierHistory: [...SURVEYS.values()].map(survey => buildTierHistory(survey, runsBySurvey.get(survey.id), DASHBOARD_HISTORY_DAYS, now)),
+    queue: {
+      depth: pending.length,
+      nextSendAt: bySchedule[0]?.executeAt || null,
+      byType,
+      next: bySchedule.slice(0, 15),
+      deadLetters: (await store.entries('deadletter')).length
+    },
+    handoffs: (await store.entries('handoffs')).map(([, handoff]) => handoffSummary(handoff))
+      .sort((a, b) => b.lastMessageAt - a.lastMessageAt),
+    errors: [...recentErrors].reverse()
+  };
+}
+
+app.get("/admin/ui", requireAdmin, asyncRoute(async (req, res) => {
+  return res.type("html").send(renderDashboard(await collectDashboardData()));
+}));
+
+// One respondent: their runs and everything sent either way
+app.get("/admin/ui/respondents/:phone", requireAdmin, asyncRoute(async (req, res) => {
+  const phone = normalizePhone(req.params.phone);
+  if (!phone) return res.status(400).type("text").send("invalid phone number");
+
+  const runs = (await getAllSurveyRuns())
+    .filter(run => run.phone === phone)
+    .sort((a, b) => b.startedAt - a.startedAt)
+    .map(run => {
+      const survey = getSurvey(run.surveyId);
+      const record = buildResponseRecord(run, survey);
+      return {
+        surveyTitle: survey?.title || run.surveyId,
+        language: record.language,
+        status: record.status,
+        startedAt: run.startedAt,
+        totalScore: run.completedAt ? record.totalScore : null,
+        maxScore: record.maxScore,
+        tierLabel: record.tier ? survey.tiers.find(t => t.id === record.tier).label : null,
+        answered: (run.answers || []).length
+      };
+    });
+
+  return res.type("html").send(renderTranscript({
+    phone,
+    user: await store.get('users', phone),
+    handoff: await getHandoff(phone),
+    runs,
+    entries: await getTranscript(phone)
+  }));
+}));
+
+/* Question analytics: ?survey=<id>&from=YYYY-MM-DD&to=YYYY-MM-DD (runs started in range) */
+app.get("/admin/analytics/questions", requireAdmin, asyncRoute(async (req, res) => {
+  const from = parseDateParam(req.query.from, false);
+  const to = parseDateParam(req.query.to, true);
+  if (Number.isNaN(from) || Number.isNaN(to)) return res.status(400).json({ ok: false, error: "invalid from/to date" });
+  if (req.query.survey && !SURVEYS.has(req.query.survey)) return res.status(400).json({ ok: false, error: `unknown survey ${req.query.survey}` });
+
+  const runs = (await getAllSurveyRuns()).filter(run =>
+    (!from || run.startedAt >= from) && (!to || run.startedAt < to));
+  const surveys = req.query.survey ? [SURVEYS.get(req.query.survey)] : [...SURVEYS.values()];
+  return res.json({
+    ok: true,
+    surveys: surveys.map(survey => buildQuestionAnalytics(survey, runs.filter(run => run.surveyId === survey.id)))
+  });
+}));
+
+/* Results export: ?from=YYYY-MM-DD&to=YYYY-MM-DD&tier=tier1&status=completed|partial|all&survey=<id> */
+function parseDateParam(value, endOfDay) {
+  if (!value) return null;
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) return NaN;
+  // A bare date in "to" includes that whole day
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? ms + 24 * 60 * 60 * 1000 : ms;
+}
+
+async function collectExportRecords(query) {
+  const from = parseDateParam(query.from, false);
+  const to = parseDateParam(query.to, true);
+  if (Number.isNaN(from) || Number.isNaN(to)) throw Object.assign(new Error("invalid from/to date"), { status: 400 });
+  const status = query.status || "all";
+  if (!["all", "completed", "partial"].includes(status)) throw Object.assign(new Error("status must be all, completed or partial"), { status: 400 });
+  if (query.survey && !SURVEYS.has(query.survey)) throw Object.assign(new Error(`unknown survey ${query.survey}`), { status: 400 });
+
+  const records = (await store.entries('responses'))
+    .map(([, response]) => buildResponseRecord(response, getSurvey(response.surveyId)))
+    .sort((a, b) => Date.parse(a.startedAt) - Date.parse(b.startedAt));
+  return filterRecords(records, { from, to, tier: query.tier || null, status, surveyId: query.survey || null });
+}
+
+app.get("/admin/export/responses.json", requireAdmin, asyncRoute(async (req, res) => {
+  try {
+    const records = await collectExportRecords(req.query);
+    return res.json({ ok: true, count: records.length, records });
+  } catch (err) {
+    return res.status(err.status || 500).json({ ok: false, error: err.message });
+  }
+}));
+
+app.get("/admin/export/responses.csv", requireAdmin, asyncRoute(async (req, res) => {
+  try {
+    const records = await collectExportRecords(req.query);
+    const surveys = req.query.survey ? [SURVEYS.get(req.query.survey)] : [...SURVEYS.values()];
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="responses-${new Date().toISOString().slice(0, 10)}.csv"`);
+    return res.send("\uFEFF" + toCsv(records, surveys)); // BOM so Excel reads ₹ and Indic text as UTF-8
+  } catch (err) {
+    return res.status(err.status || 500).json({ ok: false, error: err.message });
+  }
+}));
+
+app.get("/admin/queue", requireAdmin, asyncRoute(async (req, res) => {
+  const pending = await getQueuedMessages();
+  const deadLetters = (await store.entries('deadletter')).map(([, item]) => item)
+    .sort((a, b) => b.deadAt - a.deadAt);
+  return res.json({ ok: true, pending, deadLetters, rateLimits: rateLimiter.snapshot() });
+}));
+
+// Requeue a dead-lettered message with a fresh attempt budget
+app.post("/admin/queue/deadletter/:id/retry", requireAdmin, asyncRoute(async (req, res) => {
+  const item = await store.get('deadletter', req.params.id);
+  if (!item) return res.status(404).json({ ok: false, error: "not found" });
+
+  const { deadAt, lastError, ...rest } = item;
+  const requeued = { ...rest, seq: nextQueueSeq(), attempts: 0, executeAt: Date.now() };
+  await store.set('queue', requeued.id, requeued);
+  await store.delete('deadletter', item.id);
+  return res.json({ ok: true, requeued });
+}));
+
+app.delete("/admin/queue/deadletter/:id", requireAdmin, asyncRoute(async (req, res) => {
+  await store.delete('deadletter', req.params.id);
+  return res.json({ ok: true });
+}));
+
+// CRM pushes still waiting for a 2xx, with their last error
+app.get("/admin/crm-outbox", requireAdmin, asyncRoute(async (req, res) => {
+  const pending = (await store.entries('crm-outbox')).map(([, item]) => {
+    const { body, ...rest } = item;
+    return rest;
+  }).sort((a, b) => a.createdAt - b.createdAt);
+  return res.json({ ok: true, enabled: !!CRM_WEBHOOK_URL, pending });
+}));
+
+// Skip the backoff wait, e.g. once the CRM is back up
+app.post("/admin/crm-outbox/:id/retry", requireAdmin, asyncRoute(async (req, res) => {
+  const item = await store.get('crm-outbox', req.params.id);
+  if (!item) return res.status(404).json({ ok: false, error: "not found" });
+  const delivered = await pushCrmItem(item);
+  return res.json({ ok: true, delivered, attempts: item.attempts, lastError: delivered ? null : item.lastError });
+}));
+
+/* -------- WEBHOOK AUTH -------- */
+
+// Anyone can post junk at /webhook, so rejections are never stored one by one:
+// the latest few stay in memory, and only counts per UTC day and reason are
+// written to the store ('webhook-rejections'), at most once a minute.
+const REJECTION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const REJECTIONS_RECENT_MAX = 100;
+const REJECTION_FLUSH_INTERVAL_MS = 60000;
+const recentRejections = []; // newest last
+const rejectionCounts = new Map(); // UTC day -> { reason: count }
+let rejectionCountsDirty = false;
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+// Returns null when the request is authentic, otherwise the rejection reason
+async function checkWebhookAuth(req) {
+  if (WEBHOOK_SECRETS.length) {
+    const signature = String(req.headers[WEBHOOK_SIGNATURE_HEADER] || "").replace(/^sha256=/i, "").trim().toLowerCase();
+    const timestamp = String(req.headers[WEBHOOK_TIMESTAMP_HEADER] || "").trim();
+    if (!signature || !timestamp) return "missing-signature";
+
+    // Seconds or milliseconds since epoch
+    const tsMs = /^\d{13}$/.test(timestamp) ? Number(timestamp) : Number(timestamp) * 1000;
+    if (!Number.isFinite(tsMs) || Math.abs(Date.now() - tsMs) > WEBHOOK_TOLERANCE_SEC * 1000) return "timestamp-outside-window";
+
+    const payload = Buffer.concat([Buffer.from(`${timestamp}.`), req.rawBody || Buffer.alloc(0)]);
+    const matched = WEBHOOK_SECRETS.some(secret =>
+      safeEqual(crypto.createHmac("sha256", secret).update(payload).digest("hex"), signature));
+    if (!matched) return "bad-signature";
+
+    // A valid signature is only good once inside the window
+    if (await store.get('webhook-sigs', signature)) return "replayed";
+    await store.set('webhook-sigs', signature, true, 2 * WEBHOOK_TOLERANCE_SEC * 1000);
+    return null;
+  }
+
+  if (VERIFY_TOKEN) {
+    const token = req.headers["x-whapi-token"] || req.headers["x-webhook-token"] || null;
+    const accepted = VERIFY_TOKEN.split(",").map(v => v.trim()).filter(Boolean);
+    if (!token || !accepted.some(t => safeEqual(t, token))) return "invalid-token";
+  }
+  return null;
+}
+
+function recordWebhookRejection(req, reason) {
+  const entry = {
+    at: Date.now(),
+    reason,
+    ip: req.ip,
+    userAgent: req.headers["user-agent"] || null,
+    bodyHash: sha256hex(req.rawBody || Buffer.alloc(0)).slice(0, 16),
+    bodyBytes: req.rawBody ? req.rawBody.length : 0
+  };
+  console.warn(`WEBHOOK REJECTED (${reason}) from ${entry.ip} body=${entry.bodyHash}`);
+
+  recentRejections.push(entry);
+  if (recentRejections.length > REJECTIONS_RECENT_MAX) recentRejections.shift();
+
+  const day = new Date(entry.at).toISOString().slice(0, 10);
+  const counts = rejectionCounts.get(day) || {};
+  counts[reason] = (counts[reason] || 0) + 1;
+  rejectionCounts.set(day, counts);
+  rejectionCountsDirty = true;
+}
+
+async function flushRejectionCounts() {
+  if (!rejectionCountsDirty) return;
+  rejectionCountsDirty = false;
+  const oldest = new Date(Date.now() - REJECTION_TTL_MS).toISOString().slice(0, 10);
+  for (const [day, counts] of rejectionCounts) {
+    if (day < oldest) rejectionCounts.delete(day);
+    else await store.set('webhook-rejections', day, counts, REJECTION_TTL_MS);
+  }
+}
+
+// Seed the counts from storage so a restart carries on from them
+async function restoreRejectionCounts() {
+  for (const [day, counts] of await store.entries('webhook-rejections')) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(day) && !rejectionCounts.has(day)) rejectionCounts.set(day, counts);
+  }
+}
+
+restoreRejectionCounts().catch(err => console.error("Failed to restore webhook rejection counts:", err.message));
+setInterval(() => {
+  flushRejectionCounts().catch(err => console.error("Failed to store webhook rejection counts:", err.message));
+}, REJECTION_FLUSH_INTERVAL_MS);
+
+async function verifyWebhook(req, res, next) {
+  try {
+    const reason = await checkWebhookAuth(req);
+    if (!reason) return next();
+    recordWebhookRejection(req, reason);
+    return res.status(401).send("unauthorized");
+  } catch (err) {
+    console.error("Webhook auth error:", err);
+    return res.status(500).send("internal-error");
+  }
+}
+
+app.get("/admin/webhook-rejections", requireAdmin, (req, res) => {
+  const byDay = Object.fromEntries([...rejectionCounts].sort(([a], [b]) => b.localeCompare(a)));
+  const byReason = {};
+  for (const counts of Object.values(byDay)) {
+    for (const [reason, n] of Object.entries(counts)) byReason[reason] = (byReason[reason] || 0) + n;
+  }
+  const count = Object.values(byReason).reduce((sum, n) => sum + n, 0);
+  return res.json({ ok: true, count, byReason, byDay, recent: [...recentRejections].reverse() });
 });
 
 /* -------- MAIN WEBHOOK -------- */
-app.post("/webhook", async (req, res) => {
-  try {
-    if (VERIFY_TOKEN) {
-      const token = req.headers["x-whapi-token"] || req.headers["x-webhook-token"] || null;
-      if (token !== VERIFY_TOKEN) return res.status(401).send("invalid token");
-    }
+// Handles one inbound message and returns a short outcome for the webhook response
+async function handleInboundMessage(incoming) {
+  if (incoming.from_me) {
+    console.log("ignoring from_me echo");
+    return "ignored-from-me";
+  }
 
-    const incoming = extractCommon(req.body);
+  // Fallback id must stay unique within a batch so dedupe cannot swallow a sibling
+  const messageId = incoming.messageId || `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+  let rawFrom = incoming.from;
+  let from = normalizePhone(rawFrom);
+  if (!from) {
+    console.warn("invalid from:", JSON.stringify(incoming.raw).slice(0, 300));
+    return "missing-sender";
+  }
 
-    if (incoming.kind === "status") {
-      console.log("statuses event - ignoring");
-      return res.status(200).send("ignored-status");
+  // Check for phantom delivery of our own outbound messages (after 'from' is defined)
+  if (incoming.text) {
+    const messageKey = `out:${from}:${crypto.createHash('sha256').update(incoming.text).digest('hex').slice(0,12)}`;
+    const outboundRecord = outboundMessageCache.get(messageKey);
+    if (outboundRecord) {
+      console.log(`PHANTOM DELIVERY DETECTED (text): ${messageKey} (original trace: ${outboundRecord.traceId})`);
+      return "ignored-phantom-delivery";
     }
-    if (incoming.kind !== "message") {
-      console.log("unknown webhook kind - ignoring");
-      return res.status(200).send("ignored");
-    }
-    if (incoming.from_me) {
-      console.log("ignoring from_me echo");
-      return res.status(200).send("ignored-from-me");
+  }
+
+  if (SENDER_PHONE) {
+    const normSender = normalizePhone(SENDER_PHONE);
+    if (normSender && from === normSender) {
+      console.log("Ignoring self messages");
+      return "ignored-self";
     }
+  }
 
-    const messageId = incoming.messageId || Date.now().toString();
-    let rawFrom = incoming.from;
-    let from = normalizePhone(rawFrom);
-    if (!from) {
-      console.warn("invalid from:", JSON.stringify(incoming.raw).slice(0, 300));
-      return res.status(400).send("missing-sender");
+  if (await store.get('dedupe', messageId)) {
+    console.log("Duplicate webhook ignored", messageId);
+    return "duplicate";
+  }
+  await store.set('dedupe', messageId, true, DEDUPE_TTL_MS);
+
+  await appendTranscript(from, incoming.buttonResponse
+    ? { dir: 'in', type: 'reply', text: incoming.buttonTitle ? `${incoming.buttonTitle} (${incoming.buttonResponse})` : incoming.buttonResponse }
+    : { dir: 'in', type: 'text', text: incoming.text || '' })
+    .catch(err => console.error(`Failed to record transcript for ${from}:`, err.message));
+
+  // -------- OPT-OUT & ERASURE --------
+  // These work whatever else is going on, *stop* included: inside a survey *end* ends just the survey.
+  const word = incoming.buttonResponse ? '' : normalizeAnswerText(incoming.text);
+  if (word === 'delete my data') {
+    const language = await getUserLanguage(from);
+    await eraseRespondentData(from);
+    await queueMessage(from, 'text_message', { text: t(language, 'dataDeleted'), complianceNotice: true, noRecord: true, duringHandoff: true });
+    return "data-deleted";
+  }
+  if (word === 'unsubscribe' || word === 'stop') {
+    if (await optOut(from, 'respondent')) {
+      await queueMessage(from, 'text_message', { text: t(await getUserLanguage(from), 'unsubscribed'), complianceNotice: true, duringHandoff: true });
     }
+    return "unsubscribed";
+  }
+  if (await isOptedOut(from)) {
+    // *start*, or asking for a survey by its keyword, opts them back in
+    if (word === 'start') {
+      await optIn(from);
+      await queueMessage(from, 'text_message', { text: t(await getUserLanguage(from), 'resubscribed') });
+      return "resubscribed";
+    }
+    if (!parseTrigger(incoming.text)) return "ignored-opted-out";
+    await optIn(from);
+  }
 
-    // Check for phantom delivery of our own outbound messages (after 'from' is defined)
-    if (incoming.text) {
-      const messageKey = `out:${from}:${crypto.createHash('sha256').update(incoming.text).digest('hex').slice(0,12)}`;
-      const outboundRecord = outboundMessageCache.get(messageKey);
-      if (outboundRecord) {
-        console.log(`PHANTOM DELIVERY DETECTED (text): ${messageKey} (original trace: ${outboundRecord.traceId})`);
-        return res.status(200).send("ignored-phantom-delivery");
-      }
+  // -------- OPERATOR HANDOFF --------
+  // While an operator has the conversation the bot only relays
+  const inboundText = incoming.text || incoming.buttonTitle || incoming.buttonResponse || '';
+  const handoff = await getHandoff(from);
+  if (handoff) {
+    await recordHandoffInbound(handoff, inboundText);
+    return "handoff-forwarded";
+  }
+  if (!incoming.buttonResponse && isHandoffKeyword(incoming.text)) {
+    await openHandoff(from, { reason: 'keyword', text: inboundText });
+    return "handoff-opened";
+  }
+
+  // -------- SURVEY FLOW --------
+  // Check if user has an active survey
+  const surveyState = await getSurveyState(from);
+  if (surveyState && surveyState.active) {
+    // Any inbound message resets the inactivity clock used for nudges/abandonment
+    await touchSurveyActivity(from, surveyState);
+
+    const command = !incoming.buttonResponse && parseSurveyCommand(incoming.text);
+    if (command && await handleSurveyCommand(from, command)) {
+      return `survey-command-${command}`;
     }
 
-    if (SENDER_PHONE) {
-      const normSender = normalizePhone(SENDER_PHONE);
-      if (normSender && from === normSender) {
-        console.log("Ignoring self messages");
-        return res.status(200).send("ignored-self");
-      }
+    console.log(`Active survey detected for ${from} - handling response`);
+    const handled = await handleSurveyResponse(from, incoming.buttonResponse, incoming.text);
+    if (handled) {
+      return "survey-response-handled";
     }
 
-    if (dedupe.get(messageId)) {
-      console.log("Duplicate webhook ignored", messageId);
-      return res.status(200).send("ok");
+    // A trigger keyword still switches survey; anything else gets a re-prompt
+    if (!findSurveyByTrigger(incoming.text) && await repromptSurvey(from)) {
+      return "survey-reprompted";
     }
-    dedupe.set(messageId, true);
+  }
 
-    // -------- SURVEY FLOW --------
-    // Check if user has an active survey
-    const surveyState = getSurveyState(from);
-    if (surveyState && surveyState.active) {
-      console.log(`Active survey detected for ${from} - handling response`);
-      const handled = await handleSurveyResponse(from, incoming.buttonResponse, incoming.text);
-      if (handled) {
-        return res.status(200).send("survey-response-handled");
-      }
+  // Check for a trigger keyword (optionally with a language, "mining hi") to start new survey
+  const trigger = parseTrigger(incoming.text);
+  if (trigger) {
+    const triggeredSurvey = trigger.survey;
+    console.log(`Trigger keyword "${incoming.text.trim()}" detected from ${from} - starting survey ${triggeredSurvey.id}`);
+
+    // A run still in progress is replaced, and its pending question with it
+    const previous = await getSurveyState(from);
+    if (previous && previous.active) {
+      await cancelQueuedMessages(from, ['survey_question', 'language_question', 'consent_question', 'survey_nudge']);
+      await stopRun(from, previous);
     }
 
-    // Check for "mining" keyword to start new survey
-    if (incoming.text && incoming.text.toLowerCase().trim() === 'mining') {
-      console.log(`Mining keyword detected from ${from} - starting survey`);
+    // Named language, else the one they picked last time, else ask
+    const language = trigger.language || await getUserLanguage(from);
 
-      // Initialize survey
-      initializeSurvey(from);
+    // Initialize survey
+    const newState = await initializeSurvey(from, triggeredSurvey, language, { languagePicked: !!trigger.language });
 
-      // Mark user as contacted so they don't get the PDF
-      markUserContacted(from, 'survey_started');
+    // Mark user as contacted so they don't get the PDF
+    if (!newState.awaitingConsent) await recordSurveyStart(from, newState);
 
-      // Queue welcome message and first question
-      await queueMessage(from, 'text_message', {
-        text: "Welcome to the MSME AI Readiness Assessment! 📊\n\nThis will take about 5 minutes and help us understand how AI can best serve your business.\n\nLet's get started!"
-      });
+    if (newState.awaitingLanguage) {
+      await queueMessage(from, 'language_question', { surveyId: triggeredSurvey.id });
+      return "survey-started-language-question";
+    }
 
-      await sleep(500);
-      await queueMessage(from, 'survey_question', {
-        questionIndex: 0
-      });
+    // Queue welcome message and first question
+    await queueSurveyIntro(from, triggeredSurvey, newState);
 
-      return res.status(200).send("survey-started");
-    }
+    return "survey-started";
+  }
 
-    // New user or non-survey message - send instruction
-    if (!hasUserBeenContacted(from)) {
-      console.log(`New user ${from} - sending survey instructions`);
+  // New user or non-survey message - send instruction
+  if (!(await hasUserBeenContacted(from))) {
+    console.log(`New user ${from} - sending survey instructions`);
 
-      // Mark user as contacted so they don't get this message again
-      markUserContacted(from, 'instructed');
+    // Mark user as contacted so they don't get this message again
+    await markUserContacted(from, 'instructed');
 
-      await queueMessage(from, 'text_message', {
-        text: "👋 Hello! Welcome to the MSME AI Readiness Assessment.\n\nTo discover how AI can transform your business, type *mining* to start the assessment."
-      });
+    await queueMessage(from, 'text_message', {
+      text: getInstructionsText()
+    });
 
-      return res.status(200).send("instructions-sent");
-    } else {
-      console.log(`User ${from} sent message but not a survey command - ignoring`);
-      return res.status(200).send("ignored-not-survey");
+    return "instructions-sent";
+  } else if (HANDOFF_ON_UNRECOGNISED && inboundText.trim() && (await getLatestResult(from))?.status === 'completed') {
+    console.log(`User ${from} sent a message the bot can't handle - handing off to an operator`);
+    await openHandoff(from, { reason: 'unrecognised', text: inboundText });
+    return "handoff-opened";
+  } else {
+    console.log(`User ${from} sent message but not a survey command - ignoring`);
+    return "ignored-not-survey";
+  }
+}
+
+app.post("/webhook", verifyWebhook, async (req, res) => {
+  const items = extractCommon(req.body);
+  if (items.length === 0) {
+    console.log("unknown webhook kind - ignoring");
+    return res.status(200).json({ ok: true, results: [] });
+  }
+
+  // One bad item must not drop the rest of the batch; its dedupe marker is already
+  // set, so a provider retry of the whole payload would not replay it anyway
+  const results = [];
+  for (const item of items) {
+    let outcome;
+    try {
+      outcome = item.kind === "status" ? await handleStatusEvent(item.event) : await handleInboundMessage(item);
+    } catch (err) {
+      console.error(`Unhandled webhook error (${item.kind} ${item.id || item.messageId}):`, err);
+      outcome = "internal-error";
     }
-  } catch (err) {
-    console.error("Unhandled webhook error:", err);
-    return res.status(500).send("internal-error");
+    results.push({ kind: item.kind, id: item.kind === "status" ? item.id : item.messageId, outcome });
   }
+  if (results.length > 1) console.log(`webhook batch - ${results.map(r => `${r.kind}:${r.outcome}`).join(", ")}`);
+
+  return res.status(200).json({ ok: true, results });
+});
+
+// Errors passed on by asyncRoute (e.g. the store failing) become a 500 instead of
+// an unhandled rejection that would take the process down
+app.use((err, req, res, next) => {
+  console.error(`${req.method} ${req.path} failed:`, err);
+  if (res.headersSent) return next(err);
+  return res.status(err.status || 500).json({ ok: false, error: err.status ? err.message : "internal-error" });
 });
 
 /* -------- START -------- */
-app.listen(PORT, () => console.log(`Server listening ${PORT}`));
+const server = app.listen(PORT, () => console.log(`Server listening ${PORT} (store: ${store.kind})`));
+if (!ADMIN_KEY) console.warn("ADMIN_KEY is not set - admin routes are disabled");
+
+// Flush/compact the store on redeploy so the next instance boots from a clean snapshot
+async function shutdown(signal) {
+  console.log(`${signal} received - closing store`);
+  server.close();
+  try { await flushRejectionCounts(); } catch (err) { console.error("Failed to store webhook rejection counts:", err.message); }
+  try { await store.close(); } catch (err) { console.error("store close failed", err.message); }
+  process.exit(0);
+}
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
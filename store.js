@@ -0,0 +1,239 @@
+/**
+ * store.js - pluggable key/value storage for survey state, user history,
+ * dedupe markers and the outbound queue.
+ *
+ * Backends (STORE_BACKEND):
+ *  - "file"   (default) append-only JSON journal on local disk, replayed on boot
+ *  - "redis"  any Redis-compatible server (REDIS_URL)
+ *  - "memory" process-local only, lost on restart (tests / throwaway instances)
+ *
+ * Every backend exposes the same async API, values are plain JSON and every
+ * call hands out its own copy (as Redis does), so mutating a fetched value
+ * changes nothing until it is set again:
+ *   get(ns, key) / set(ns, key, value, ttlMs) / delete(ns, key) / entries(ns) / compact() / close()
+ * compact() makes deletes final on disk (the file journal still holds deleted
+ * values until it is rewritten); the other backends have nothing to do.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/* -------- MEMORY -------- */
+
+// Expired records are dropped when read, and by a sweep every sweepEveryMs so keys
+// that are never read again (dedupe markers) don't pile up
+function createMemoryStore({ sweepEveryMs = 60000 } = {}) {
+  const namespaces = new Map();
+
+  function bucket(ns) {
+    if (!namespaces.has(ns)) namespaces.set(ns, new Map());
+    return namespaces.get(ns);
+  }
+
+  function live(record, now = Date.now()) {
+    return record && (!record.exp || record.exp > now);
+  }
+
+  function sweep() {
+    const now = Date.now();
+    for (const b of namespaces.values()) {
+      for (const [key, record] of b) {
+        if (!live(record, now)) b.delete(key);
+      }
+    }
+  }
+
+  const sweeper = sweepEveryMs > 0 ? setInterval(sweep, sweepEveryMs) : null;
+  if (sweeper) sweeper.unref();
+
+  return {
+    kind: "memory",
+    namespaces,
+
+    async get(ns, key) {
+      const b = bucket(ns);
+      const record = b.get(key);
+      if (!record) return undefined;
+      if (!live(record)) {
+        b.delete(key);
+        return undefined;
+      }
+      return structuredClone(record.v);
+    },
+
+    async set(ns, key, value, ttlMs = 0) {
+      bucket(ns).set(key, { v: structuredClone(value), exp: ttlMs > 0 ? Date.now() + ttlMs : 0 });
+    },
+
+    async delete(ns, key) {
+      bucket(ns).delete(key);
+    },
+
+    async compact() {},
+
+    async entries(ns) {
+      const now = Date.now();
+      const out = [];
+      for (const [key, record] of bucket(ns)) {
+        if (live(record, now)) out.push([key, structuredClone(record.v)]);
+        else bucket(ns).delete(key);
+      }
+      return out;
+    },
+
+    async close() {
+      if (sweeper) clearInterval(sweeper);
+    }
+  };
+}
+
+/* -------- FILE (append-only journal) -------- */
+
+function createFileStore({ filePath, compactEvery = 5000 }) {
+  const mem = createMemoryStore();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  // Replay journal. A torn last line (crash mid-append) is skipped.
+  // The journal is rewritten once it has grown by compactEvery lines, or by as
+  // many lines as the last snapshot held when that is more, so a large store
+  // isn't rewritten on every write.
+  let opsSinceCompact = 0;
+  let snapshotSize = 0;
+  if (fs.existsSync(filePath)) {
+    const now = Date.now();
+    const lines = fs.readFileSync(filePath, "utf8").split("\n");
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let op;
+      try { op = JSON.parse(line); } catch { console.warn("store: skipping corrupt journal line"); continue; }
+      const b = mem.namespaces.get(op.ns) || new Map();
+      mem.namespaces.set(op.ns, b);
+      if (op.op === "set" && (!op.exp || op.exp > now)) b.set(op.k, { v: op.v, exp: op.exp || 0 });
+      else b.delete(op.k);
+      opsSinceCompact++;
+    }
+    console.log(`store: replayed ${opsSinceCompact} journal entries from ${filePath}`);
+  }
+
+  function compact() {
+    const tmp = `${filePath}.tmp`;
+    const now = Date.now();
+    const lines = [];
+    for (const [ns, b] of mem.namespaces) {
+      for (const [k, record] of b) {
+        if (record.exp && record.exp <= now) continue;
+        lines.push(JSON.stringify({ op: "set", ns, k, v: record.v, exp: record.exp }));
+      }
+    }
+    fs.writeFileSync(tmp, lines.length ? lines.join("\n") + "\n" : "");
+    fs.renameSync(tmp, filePath);
+    snapshotSize = lines.length;
+    opsSinceCompact = 0;
+  }
+
+  function append(op) {
+    fs.appendFileSync(filePath, JSON.stringify(op) + "\n");
+    if (++opsSinceCompact >= Math.max(compactEvery, snapshotSize)) {
+      try { compact(); } catch (err) { console.error("store: compaction failed", err.message); }
+    }
+  }
+
+  if (opsSinceCompact > 0) compact();
+
+  return {
+    kind: "file",
+    get: mem.get,
+    entries: mem.entries,
+
+    async set(ns, key, value, ttlMs = 0) {
+      await mem.set(ns, key, value, ttlMs);
+      const exp = mem.namespaces.get(ns).get(key).exp;
+      append({ op: "set", ns, k: key, v: value, exp });
+    },
+
+    async delete(ns, key) {
+      await mem.delete(ns, key);
+      append({ op: "del", ns, k: key });
+    },
+
+    async compact() {
+      compact();
+    },
+
+    async close() {
+      await mem.close();
+      compact();
+    }
+  };
+}
+
+/* -------- REDIS -------- */
+
+function createRedisStore({ url, prefix = "bbwab:" }) {
+  const Redis = require("ioredis");
+  const client = new Redis(url, { maxRetriesPerRequest: 3 });
+  client.on("error", (err) => console.error("store: redis error", err.message));
+
+  const k = (ns, key) => `${prefix}${ns}:${key}`;
+
+  return {
+    kind: "redis",
+    client,
+
+    async get(ns, key) {
+      const raw = await client.get(k(ns, key));
+      return raw == null ? undefined : JSON.parse(raw);
+    },
+
+    async set(ns, key, value, ttlMs = 0) {
+      const raw = JSON.stringify(value);
+      if (ttlMs > 0) await client.set(k(ns, key), raw, "PX", ttlMs);
+      else await client.set(k(ns, key), raw);
+    },
+
+    async delete(ns, key) {
+      await client.del(k(ns, key));
+    },
+
+    async compact() {},
+
+    async entries(ns) {
+      const match = `${prefix}${ns}:*`;
+      const strip = `${prefix}${ns}:`.length;
+      const out = [];
+      let cursor = "0";
+      do {
+        const [next, keys] = await client.scan(cursor, "MATCH", match, "COUNT", 500);
+        cursor = next;
+        if (keys.length) {
+          const values = await client.mget(keys);
+          keys.forEach((fullKey, i) => {
+            if (values[i] != null) out.push([fullKey.slice(strip), JSON.parse(values[i])]);
+          });
+        }
+      } while (cursor !== "0");
+      return out;
+    },
+
+    async close() {
+      await client.quit();
+    }
+  };
+}
+
+function createStore(opts = {}) {
+  const backend = (opts.backend || "file").toLowerCase();
+  switch (backend) {
+    case "memory":
+      return createMemoryStore();
+    case "file":
+      return createFileStore({ filePath: opts.filePath || "./data/store.jsonl", compactEvery: opts.compactEvery });
+    case "redis":
+      if (!opts.redisUrl) throw new Error("STORE_BACKEND=redis requires REDIS_URL");
+      return createRedisStore({ url: opts.redisUrl, prefix: opts.redisPrefix });
+    default:
+      throw new Error(`Unknown STORE_BACKEND: ${backend}`);
+  }
+}
+
+module.exports = { createStore };
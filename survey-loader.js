@@ -0,0 +1,313 @@
+/**
+ * survey-loader.js - loads and validates survey definition files (.json/.yaml/.yml).
+ *
+ * Definition shape:
+ *   id, version, title, triggers       - identity and the keywords that start it
+ *                                        (a single `trigger` string is also accepted)
+ *   messages: { welcome, instructions, completion }   ({{trigger}} is the first trigger)
+ *   sections: [{ title, questions: [{ id, text, options: [{ id, text, points, exclusive? }],
+ *                                     multiSelect?, maxPoints?, openText?, showIf?, skipIf? }] }]
+ *   tiers: [{ id, label, minScore, actionPlan: { title, messages: [] } }]
+ *   crm?: { tiers?: [tierId], fields?: { crmField: source } }   (see crm.js)
+ *
+ * Branching: showIf / skipIf take a condition on an earlier question's answer,
+ *   { question: q1, anyOf: [a] } | { question: q1, noneOf: [a] } | { all: [...] } | { any: [...] }
+ * A question is asked when its showIf holds (or is absent) and its skipIf doesn't.
+ * Skipped questions score 0; maxScore still counts them (it is the ceiling).
+ *
+ * Action plan messages are templates. Each one is a string, { text, when? } or
+ * { blocks: [string | { text, when? }], when? } - `when` takes the same conditions
+ * as showIf and drops the message/block unless it holds for the finished answers.
+ * Placeholders: {{score}}, {{maxScore}}, {{tierLabel}}, {{answer.<q>}} (option text).
+ *
+ * A choice question must fit one WhatsApp list: at most LIST_MAX_ROWS options,
+ * one fewer for multi-select since the list also carries its Done row.
+ *
+ * Derived on load: questions (flattened, each carrying its section title and
+ * index), maxScore, each section's maxScore, and each tier's maxScore so ranges
+ * never drift from the questions.
+ *
+ * loadSurveyDir also rejects duplicate survey ids and trigger keywords across files,
+ * and triggers that are one of the caller's reservedWords (its own command words).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { checkCrmSource } = require("./crm");
+
+const SURVEY_FILE_EXTENSIONS = [".json", ".yaml", ".yml"];
+const LIST_MAX_ROWS = 10;
+
+class SurveyDefinitionError extends Error {
+  constructor(file, problems) {
+    super(`Invalid survey definition ${file}:\n  - ${problems.join("\n  - ")}`);
+    this.name = "SurveyDefinitionError";
+    this.file = file;
+    this.problems = problems;
+  }
+}
+
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim().length > 0;
+}
+
+function questionMaxPoints(q) {
+  if (q.openText) return 0;
+  if (q.multiSelect) {
+    const sum = q.options.filter(o => !o.exclusive).reduce((acc, o) => acc + Math.max(0, o.points), 0);
+    const best = Math.max(sum, ...q.options.map(o => o.points));
+    return q.maxPoints != null ? Math.min(best, q.maxPoints) : best;
+  }
+  return Math.max(...q.options.map(o => o.points));
+}
+
+// Conditions may only look back: every referenced question must already be
+// declared (knownQuestions) and be a choice question with those options
+function validateCondition(cond, knownQuestions, where, problems) {
+  if (!cond || typeof cond !== "object") {
+    problems.push(`${where} must be an object`);
+    return;
+  }
+  if (cond.all || cond.any) {
+    const list = cond.all || cond.any;
+    if (!Array.isArray(list) || list.length === 0) problems.push(`${where}.${cond.all ? "all" : "any"} must be a non-empty array`);
+    else list.forEach((c, i) => validateCondition(c, knownQuestions, `${where}.${cond.all ? "all" : "any"}[${i}]`, problems));
+    return;
+  }
+  const target = knownQuestions.get(cond.question);
+  if (!target) {
+    problems.push(`${where}.question must name an earlier question (got ${cond.question})`);
+    return;
+  }
+  if (target.openText) problems.push(`${where} cannot depend on open text question ${cond.question}`);
+  const list = cond.anyOf || cond.noneOf;
+  if (!Array.isArray(list) || list.length === 0) {
+    problems.push(`${where} needs a non-empty anyOf or noneOf`);
+    return;
+  }
+  const optionIds = (target.options || []).map(o => o.id);
+  list.filter(id => !optionIds.includes(id))
+    .forEach(id => problems.push(`${where} refers to unknown option ${cond.question}.${id}`));
+}
+
+function validateCrm(crm, questionIds, tierIds, problems) {
+  if (typeof crm !== "object" || Array.isArray(crm)) {
+    problems.push("crm must be an object");
+    return;
+  }
+  if (crm.tiers != null) {
+    if (!Array.isArray(crm.tiers) || crm.tiers.length === 0) problems.push("crm.tiers must be a non-empty array");
+    else crm.tiers.filter(id => !tierIds.has(id)).forEach(id => problems.push(`crm.tiers refers to unknown tier ${id}`));
+  }
+  if (crm.fields != null) {
+    if (typeof crm.fields !== "object" || Array.isArray(crm.fields) || Object.keys(crm.fields).length === 0) {
+      problems.push("crm.fields must be a non-empty object");
+      return;
+    }
+    for (const [field, source] of Object.entries(crm.fields)) {
+      const problem = checkCrmSource(source, questionIds);
+      if (problem) problems.push(`crm.fields.${field} ${problem}`);
+    }
+  }
+}
+
+const PLAN_PLACEHOLDERS = ["score", "maxScore", "tierLabel"];
+
+function validatePlanText(text, knownQuestions, where, problems) {
+  if (!isNonEmptyString(text)) {
+    problems.push(`${where} must be a non-empty string`);
+    return;
+  }
+  for (const [, name] of text.matchAll(/\{\{([\w.]+)\}\}/g)) {
+    const [kind, questionId] = name.split(".");
+    if (kind === "answer" && knownQuestions.has(questionId)) continue;
+    if (!questionId && PLAN_PLACEHOLDERS.includes(kind)) continue;
+    problems.push(`${where} has unknown placeholder {{${name}}}`);
+  }
+}
+
+// Conditions here see the whole survey, so any question may be referenced
+function validatePlanMessages(messages, knownQuestions, where, problems) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    problems.push(`${where} must be a non-empty array`);
+    return;
+  }
+  messages.forEach((item, i) => {
+    const itemWhere = `${where}[${i}]`;
+    if (typeof item === "string") return validatePlanText(item, knownQuestions, itemWhere, problems);
+    if (!item || typeof item !== "object") return problems.push(`${itemWhere} must be a string or an object`);
+    if (item.when != null) validateCondition(item.when, knownQuestions, `${itemWhere}.when`, problems);
+    if (item.blocks == null) return validatePlanText(item.text, knownQuestions, `${itemWhere}.text`, problems);
+    if (item.text != null) problems.push(`${itemWhere} takes either text or blocks, not both`);
+    if (!Array.isArray(item.blocks) || item.blocks.length === 0) return problems.push(`${itemWhere}.blocks must be a non-empty array`);
+    item.blocks.forEach((block, j) => {
+      const blockWhere = `${itemWhere}.blocks[${j}]`;
+      if (typeof block === "string") return validatePlanText(block, knownQuestions, blockWhere, problems);
+      if (!block || typeof block !== "object") return problems.push(`${blockWhere} must be a string or an object`);
+      if (block.when != null) validateCondition(block.when, knownQuestions, `${blockWhere}.when`, problems);
+      validatePlanText(block.text, knownQuestions, `${blockWhere}.text`, problems);
+    });
+  });
+}
+
+function validateDefinition(def, { reservedWords = [] } = {}) {
+  const problems = [];
+  if (!def || typeof def !== "object") return ["file does not contain an object"];
+
+  if (!isNonEmptyString(def.id)) problems.push("id is required");
+  if (!Number.isInteger(def.version) || def.version < 1) problems.push("version must be a positive integer");
+  if (!isNonEmptyString(def.title)) problems.push("title is required");
+  const triggers = def.triggers != null ? def.triggers : (def.trigger != null ? [def.trigger] : []);
+  if (!Array.isArray(triggers) || triggers.length === 0) problems.push("triggers must be a non-empty array");
+  else if (!triggers.every(t => isNonEmptyString(t) && !/\s/.test(t.trim()))) problems.push("each trigger must be a single word");
+  else triggers.filter(t => reservedWords.includes(t.toLowerCase().trim())).forEach(t => problems.push(`trigger "${t}" is a reserved word the bot already answers`));
+
+  const messages = def.messages || {};
+  for (const key of ["welcome", "instructions", "completion"]) {
+    if (!isNonEmptyString(messages[key])) problems.push(`messages.${key} is required`);
+  }
+
+  const questionIds = new Set();
+  const knownQuestions = new Map();
+  if (!Array.isArray(def.sections) || def.sections.length === 0) {
+    problems.push("sections must be a non-empty array");
+  } else {
+    def.sections.forEach((section, si) => {
+      const where = `sections[${si}]`;
+      if (!isNonEmptyString(section.title)) problems.push(`${where}.title is required`);
+      if (!Array.isArray(section.questions) || section.questions.length === 0) {
+        problems.push(`${where}.questions must be a non-empty array`);
+        return;
+      }
+      section.questions.forEach((q, qi) => {
+        const qWhere = `${where}.questions[${qi}]${q && q.id ? ` (${q.id})` : ""}`;
+        if (!isNonEmptyString(q.id)) problems.push(`${qWhere}.id is required`);
+        else if (q.id.includes("_")) problems.push(`${qWhere}.id must not contain "_"`);
+        else if (questionIds.has(q.id)) problems.push(`${qWhere}.id is duplicated`);
+        else questionIds.add(q.id);
+        if (!isNonEmptyString(q.text)) problems.push(`${qWhere}.text is required`);
+        if (q.openText && q.multiSelect) problems.push(`${qWhere} cannot be both openText and multiSelect`);
+        if (q.maxPoints != null && !q.multiSelect) problems.push(`${qWhere}.maxPoints only applies to multiSelect questions`);
+        if (q.maxPoints != null && (typeof q.maxPoints !== "number" || q.maxPoints < 0)) problems.push(`${qWhere}.maxPoints must be a non-negative number`);
+
+        if (!Array.isArray(q.options) || q.options.length === 0) {
+          problems.push(`${qWhere}.options must be a non-empty array`);
+          return;
+        }
+        const maxOptions = q.multiSelect ? LIST_MAX_ROWS - 1 : LIST_MAX_ROWS;
+        if (!q.openText && q.options.length > maxOptions) problems.push(`${qWhere} has ${q.options.length} options; at most ${maxOptions} fit a WhatsApp list${q.multiSelect ? " (plus Done)" : ""}`);
+        const optionIds = new Set();
+        q.options.forEach((o, oi) => {
+          const oWhere = `${qWhere}.options[${oi}]`;
+          if (!isNonEmptyString(o.id)) problems.push(`${oWhere}.id is required`);
+          else if (o.id.includes("_")) problems.push(`${oWhere}.id must not contain "_"`);
+          else if (optionIds.has(o.id)) problems.push(`${oWhere}.id is duplicated`);
+          else optionIds.add(o.id);
+          if (!isNonEmptyString(o.text)) problems.push(`${oWhere}.text is required`);
+          if (typeof o.points !== "number" || !Number.isFinite(o.points)) problems.push(`${oWhere}.points must be a number`);
+          if (o.exclusive && !q.multiSelect) problems.push(`${oWhere}.exclusive only applies to multiSelect questions`);
+        });
+
+        if (q.showIf != null) validateCondition(q.showIf, knownQuestions, `${qWhere}.showIf`, problems);
+        if (q.skipIf != null) validateCondition(q.skipIf, knownQuestions, `${qWhere}.skipIf`, problems);
+        if (isNonEmptyString(q.id)) knownQuestions.set(q.id, q);
+      });
+    });
+  }
+
+  const tierIds = new Set();
+  const minScores = new Set();
+  if (!Array.isArray(def.tiers) || def.tiers.length === 0) {
+    problems.push("tiers must be a non-empty array");
+  } else {
+    def.tiers.forEach((tier, ti) => {
+      const where = `tiers[${ti}]${tier && tier.id ? ` (${tier.id})` : ""}`;
+      if (!isNonEmptyString(tier.id)) problems.push(`${where}.id is required`);
+      else if (tierIds.has(tier.id)) problems.push(`${where}.id is duplicated`);
+      else tierIds.add(tier.id);
+      if (!Number.isInteger(tier.minScore) || tier.minScore < 0) problems.push(`${where}.minScore must be a non-negative integer`);
+      else if (minScores.has(tier.minScore)) problems.push(`${where}.minScore overlaps another tier`);
+      else minScores.add(tier.minScore);
+      const plan = tier.actionPlan || {};
+      if (!isNonEmptyString(plan.title)) problems.push(`${where}.actionPlan.title is required`);
+      validatePlanMessages(plan.messages, knownQuestions, `${where}.actionPlan.messages`, problems);
+    });
+    if (!minScores.has(0)) problems.push("one tier must have minScore 0 so every score maps to a tier");
+  }
+
+  if (def.crm != null) validateCrm(def.crm, [...questionIds], tierIds, problems);
+
+  return problems;
+}
+
+// Flatten sections and derive score ranges. Assumes a validated definition.
+function compileDefinition(def) {
+  const questions = [];
+  def.sections.forEach((section, sectionIndex) => {
+    section.questions.forEach(q => questions.push({ ...q, section: section.title, sectionIndex }));
+  });
+
+  const maxScore = questions.reduce((sum, q) => sum + questionMaxPoints(q), 0);
+  const sections = def.sections.map(section => ({
+    ...section,
+    maxScore: section.questions.reduce((sum, q) => sum + questionMaxPoints(q), 0)
+  }));
+
+  // Highest band first; each tier runs up to one below the next tier's floor
+  const tiers = [...def.tiers].sort((a, b) => b.minScore - a.minScore)
+    .map((tier, i, sorted) => ({ ...tier, maxScore: i === 0 ? maxScore : sorted[i - 1].minScore - 1 }));
+
+  const triggers = (def.triggers || [def.trigger]).map(t => t.toLowerCase().trim());
+  const fill = (text) => text.replace(/\{\{trigger\}\}/g, triggers[0]);
+  const messages = Object.fromEntries(Object.entries(def.messages).map(([k, v]) => [k, fill(v)]));
+
+  const { trigger, ...rest } = def;
+  return { ...rest, triggers, messages, sections, questions, tiers, maxScore };
+}
+
+function parseFile(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  return path.extname(file) === ".json" ? JSON.parse(raw) : yaml.load(raw);
+}
+
+function loadSurveyFile(file, options) {
+  let def;
+  try {
+    def = parseFile(file);
+  } catch (err) {
+    throw new SurveyDefinitionError(file, [`could not parse: ${err.message}`]);
+  }
+
+  const problems = validateDefinition(def, options);
+  if (problems.length === 0) {
+    const compiled = compileDefinition(def);
+    const topFloor = compiled.tiers[0].minScore;
+    if (topFloor > compiled.maxScore) problems.push(`tier ${compiled.tiers[0].id} starts at ${topFloor} but the maximum score is ${compiled.maxScore}`);
+    if (problems.length === 0) return { ...compiled, file };
+  }
+  throw new SurveyDefinitionError(file, problems);
+}
+
+function loadSurveyDir(dir, options = {}) {
+  const files = fs.readdirSync(dir)
+    .filter(f => SURVEY_FILE_EXTENSIONS.includes(path.extname(f)))
+    .sort()
+    .map(f => path.join(dir, f));
+  if (files.length === 0) throw new Error(`No survey definitions found in ${dir}`);
+
+  const surveys = files.map(file => loadSurveyFile(file, options));
+  const ids = new Map();
+  const triggers = new Map();
+  for (const survey of surveys) {
+    if (ids.has(survey.id)) throw new SurveyDefinitionError(survey.file, [`id ${survey.id} is already used by ${ids.get(survey.id)}`]);
+    ids.set(survey.id, survey.file);
+    for (const t of survey.triggers) {
+      if (triggers.has(t)) throw new SurveyDefinitionError(survey.file, [`trigger "${t}" is already used by ${triggers.get(t)}`]);
+      triggers.set(t, survey.file);
+    }
+  }
+  return surveys;
+}
+
+module.exports = { loadSurveyDir, loadSurveyFile, validateDefinition, SurveyDefinitionError };